@@ -5,6 +5,8 @@
 const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
+const Mustache = require('mustache');
+const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
@@ -89,6 +91,48 @@ function initDatabase() {
         );
         CREATE INDEX IF NOT EXISTS idx_status ON orders(status);
         CREATE INDEX IF NOT EXISTS idx_order_number ON orders(order_number);
+
+        CREATE TABLE IF NOT EXISTS webhook_payloads (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id TEXT,
+          topic TEXT NOT NULL,
+          shop_domain TEXT,
+          shopify_order_id INTEGER,
+          received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          raw_body TEXT NOT NULL,
+          UNIQUE(webhook_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_payload_order ON webhook_payloads(shopify_order_id);
+
+        CREATE TABLE IF NOT EXISTS order_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL REFERENCES orders(id),
+          started_at DATETIME NOT NULL,
+          finished_at DATETIME NOT NULL,
+          outcome TEXT NOT NULL,
+          shipstation_order_id INTEGER,
+          error_message TEXT,
+          response_body TEXT,
+          steps TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_attempt_order ON order_attempts(order_id);
+
+        CREATE TABLE IF NOT EXISTS order_shipments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL REFERENCES orders(id),
+          shipstation_order_id INTEGER NOT NULL,
+          shipstation_order_number TEXT,
+          order_key TEXT,
+          store_id INTEGER,
+          status TEXT NOT NULL DEFAULT 'pending',
+          error_message TEXT,
+          carrier_selection TEXT,
+          box_selection TEXT,
+          rate_quotes TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(order_id, shipstation_order_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_shipment_order ON order_shipments(order_id);
       `;
       
       db.exec(createTables, (err) => {
@@ -97,26 +141,145 @@ function initDatabase() {
           reject(err);
           return;
         }
-        console.log('✅ Database tables ready');
+
+        migrateDatabase()
+          .then(() => {
+            console.log('✅ Database tables ready');
+            resolve();
+          })
+          .catch(reject);
+      });
+    });
+  });
+}
+
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS leaves
+// existing databases untouched, so these are added with ALTER TABLE on startup.
+const ORDER_COLUMN_MIGRATIONS = [
+  { name: 'cancelled_at', definition: 'DATETIME' },
+  { name: 'cancel_reason', definition: 'TEXT' },
+  { name: 'payload_id', definition: 'INTEGER REFERENCES webhook_payloads(id)' },
+  { name: 'next_attempt_at', definition: 'DATETIME' },
+  { name: 'sync_attempts', definition: 'INTEGER DEFAULT 0' },
+  { name: 'shop_domain', definition: 'TEXT' },
+  { name: 'tags', definition: 'TEXT' }, // JSON array; NULL means just tag_type
+  { name: 'carrier_selection', definition: 'TEXT' }, // JSON, see selectCarrier
+  { name: 'box_selection', definition: 'TEXT' }, // JSON, see selectBox
+  { name: 'rate_quotes', definition: 'TEXT' }, // JSON, see shopForRates
+  { name: 'review_reasons', definition: 'TEXT' }, // JSON [{ type, code, message }]
+  { name: 'review_approved_at', definition: 'DATETIME' },
+  { name: 'reviewed_by', definition: 'TEXT' },
+  { name: 'note_edited_at', definition: 'DATETIME' }, // note edited in review
+  { name: 'priority', definition: 'INTEGER NOT NULL DEFAULT 0' }, // see QUEUE PRIORITY
+  { name: 'priority_rule', definition: 'TEXT' },
+  { name: 'priority_bumped_at', definition: 'DATETIME' },
+  { name: 'priority_bumped_by', definition: 'TEXT' }
+];
+
+const SHIPMENT_COLUMN_MIGRATIONS = [
+  { name: 'rate_quotes', definition: 'TEXT' } // JSON, see shopForRates
+];
+
+// Indexes on migrated columns can only be created once the columns exist
+const POST_MIGRATION_SQL = `
+  CREATE INDEX IF NOT EXISTS idx_due ON orders(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_shop ON orders(shop_domain);
+  CREATE INDEX IF NOT EXISTS idx_priority ON orders(status, priority DESC, created_at);
+`;
+
+function addMissingColumns(table, columns) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const existing = new Set(rows.map(row => row.name));
+      const missing = columns.filter(column => !existing.has(column.name));
+
+      if (missing.length === 0) {
+        resolve();
+        return;
+      }
+
+      const sql = missing
+        .map(column => `ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition};`)
+        .join('\n');
+
+      db.exec(sql, (err) => {
+        if (err) {
+          console.error(`❌ Error migrating ${table} table:`, err);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Added columns to ${table}: ${missing.map(c => c.name).join(', ')}`);
         resolve();
       });
     });
   });
 }
 
-// Database helper functions
-function addOrder(shopifyOrderId, orderNumber, formattedNote, tagType) {
+async function migrateDatabase() {
+  await addMissingColumns('orders', ORDER_COLUMN_MIGRATIONS);
+  await addMissingColumns('order_shipments', SHIPMENT_COLUMN_MIGRATIONS);
+
+  await new Promise((resolve, reject) => {
+    db.exec(POST_MIGRATION_SQL, (err) => {
+      if (err) {
+        console.error('❌ Error creating indexes:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// SQLite's CURRENT_TIMESTAMP format (UTC), so stored times compare as text
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Database helper functions. With review reasons the order is held in
+// needs_review straight away instead of being queued. A duplicate webhook
+// for a row still in the queue recomputes its status and review reasons, and
+// the priority is recomputed unless the order was bumped.
+function addOrder(shopifyOrderId, orderNumber, formattedNote, tagType, payloadId = null, shopDomain = null, tags = null, reviewReasons = [], priority = { priority: 0, rule: null }) {
   return new Promise((resolve, reject) => {
+    const held = reviewReasons.length > 0;
     const sql = `
-      INSERT INTO orders (shopify_order_id, order_number, formatted_note, tag_type, status)
-      VALUES (?, ?, ?, ?, 'pending')
+      INSERT INTO orders (shopify_order_id, order_number, formatted_note, tag_type, status, payload_id, shop_domain, tags, review_reasons, error_message, priority, priority_rule)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(shopify_order_id) DO UPDATE SET
         formatted_note = excluded.formatted_note,
         tag_type = excluded.tag_type,
+        tags = excluded.tags,
+        payload_id = COALESCE(excluded.payload_id, payload_id),
+        shop_domain = COALESCE(excluded.shop_domain, shop_domain),
+        priority = CASE WHEN priority_bumped_at IS NULL THEN excluded.priority ELSE priority END,
+        priority_rule = CASE WHEN priority_bumped_at IS NULL THEN excluded.priority_rule ELSE priority_rule END,
+        status = CASE WHEN status IN ('pending', 'needs_review') THEN excluded.status ELSE status END,
+        review_reasons = CASE WHEN status IN ('pending', 'needs_review') THEN excluded.review_reasons ELSE review_reasons END,
+        error_message = CASE
+          WHEN status NOT IN ('pending', 'needs_review') THEN error_message
+          WHEN excluded.status = 'needs_review' THEN excluded.error_message
+          WHEN status = 'needs_review' THEN NULL
+          ELSE error_message
+        END,
         updated_at = CURRENT_TIMESTAMP
     `;
     
-    db.run(sql, [shopifyOrderId, orderNumber, formattedNote, tagType], function(err) {
+    const params = [
+      shopifyOrderId, orderNumber, formattedNote, tagType, held ? 'needs_review' : 'pending', payloadId, shopDomain,
+      tags ? JSON.stringify(tags) : null,
+      held ? JSON.stringify(reviewReasons) : null,
+      held ? reviewReasons.map(reason => reason.message).join('; ') : null,
+      priority.priority,
+      priority.rule
+    ];
+
+    db.run(sql, params, function(err) {
       if (err) {
         console.error('❌ Error adding order:', err);
         reject(err);
@@ -128,12 +291,15 @@ function addOrder(shopifyOrderId, orderNumber, formattedNote, tagType) {
   });
 }
 
+// Pending orders whose next attempt is due (or that were never attempted),
+// highest priority first, then oldest first
 function getPendingOrders(limit = 50) {
   return new Promise((resolve, reject) => {
     const sql = `
       SELECT * FROM orders 
       WHERE status = 'pending'
-      ORDER BY created_at ASC
+        AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      ORDER BY priority DESC, created_at ASC
       LIMIT ?
     `;
     
@@ -172,165 +338,1044 @@ function updateOrderStatus(id, status, shipstationOrderId = null, errorMessage =
   });
 }
 
-function getStats() {
+function getOrderByShopifyId(shopifyOrderId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM orders WHERE shopify_order_id = ?', [shopifyOrderId], (err, row) => {
+      if (err) {
+        console.error('❌ Error getting order:', err);
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+// Replace the note of an existing row and put it back in the queue. Completed
+// rows go back to pending too, so the worker re-pushes the new note. With
+// review reasons the row is held in needs_review instead; without them any
+// earlier reasons are cleared. A priority replaces the stored one unless the
+// order was bumped.
+function requeueOrder(id, formattedNote, tagType, payloadId = null, tags = null, reviewReasons = [], priority = null) {
+  return new Promise((resolve, reject) => {
+    const held = reviewReasons.length > 0;
+    const sql = `
+      UPDATE orders
+      SET formatted_note = ?,
+          tag_type = ?,
+          tags = ?,
+          payload_id = COALESCE(?, payload_id),
+          status = ?,
+          review_reasons = ?,
+          note_edited_at = NULL,
+          attempts = 0,
+          sync_attempts = 0,
+          next_attempt_at = NULL,
+          error_message = ?,
+          priority = CASE WHEN ? AND priority_bumped_at IS NULL THEN ? ELSE priority END,
+          priority_rule = CASE WHEN ? AND priority_bumped_at IS NULL THEN ? ELSE priority_rule END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    const params = [
+      formattedNote, tagType, tags ? JSON.stringify(tags) : null, payloadId,
+      held ? 'needs_review' : 'pending',
+      held ? JSON.stringify(reviewReasons) : null,
+      held ? reviewReasons.map(reason => reason.message).join('; ') : null,
+      priority ? 1 : 0, priority?.priority ?? null,
+      priority ? 1 : 0, priority?.rule ?? null,
+      id
+    ];
+
+    db.run(sql, params, (err) => {
+      if (err) {
+        console.error('❌ Error requeueing order:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Record a Shopify cancellation. Rows that have not reached ShipStation yet are
+// cancelled; completed rows keep their status but still get the timestamp.
+function cancelOrder(id, reason) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET status = CASE WHEN status IN ('pending', 'failed', 'needs_review') THEN 'cancelled' ELSE status END,
+          cancelled_at = CURRENT_TIMESTAMP,
+          cancel_reason = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    db.run(sql, [reason, id], (err) => {
+      if (err) {
+        console.error('❌ Error cancelling order:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Archive a verified webhook delivery. Resolves with the new row id, or null
+// when a delivery with the same X-Shopify-Webhook-Id was already stored.
+function savePayload({ webhookId, topic, shopDomain, shopifyOrderId, rawBody }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT OR IGNORE INTO webhook_payloads (webhook_id, topic, shop_domain, shopify_order_id, raw_body)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [webhookId, topic, shopDomain, shopifyOrderId, rawBody], function(err) {
+      if (err) {
+        console.error('❌ Error saving webhook payload:', err);
+        reject(err);
+        return;
+      }
+      resolve(this.changes > 0 ? this.lastID : null);
+    });
+  });
+}
+
+function getPayload(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM webhook_payloads WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        console.error('❌ Error getting webhook payload:', err);
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+// Orders that have an archived payload, filtered by creation date (inclusive
+// YYYY-MM-DD bounds, UTC) and/or order numbers. Cancelled rows are left alone.
+function getOrdersForReprocess({ from = null, to = null, orderNumbers = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = ['payload_id IS NOT NULL', "status != 'cancelled'"];
+    const params = [];
+
+    if (from) {
+      conditions.push('created_at >= date(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("created_at < date(?, '+1 day')");
+      params.push(to);
+    }
+    if (orderNumbers.length > 0) {
+      conditions.push(`order_number IN (${orderNumbers.map(() => '?').join(', ')})`);
+      params.push(...orderNumbers);
+    }
+
+    const sql = `
+      SELECT * FROM orders
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at ASC
+    `;
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error('❌ Error getting orders to reprocess:', err);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Orders with a tag (tag type or extra tag) created in [from, to], oldest
+// first. Cancelled orders have nothing left to produce and are left out.
+function getOrdersForWorkSheets({ tag, from, to, shopDomain = null, limit = 500 }) {
+  return new Promise((resolve, reject) => {
+    const conditions = [
+      "status != 'cancelled'",
+      '(tag_type = ? OR EXISTS (SELECT 1 FROM json_each(orders.tags) WHERE value = ?))',
+      'created_at >= ?',
+      'created_at <= ?'
+    ];
+    const params = [tag, tag, from, to];
+
+    if (shopDomain) {
+      conditions.push('shop_domain = ?');
+      params.push(shopDomain);
+    }
+
+    const sql = `
+      SELECT * FROM orders
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at ASC
+      LIMIT ?
+    `;
+
+    db.all(sql, [...params, limit], (err, rows) => {
+      if (err) {
+        console.error('❌ Error getting orders for work sheets:', err);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Keep an order pending and schedule its next attempt. Orders not yet in
+// ShipStation count against sync_attempts, real errors against attempts and
+// rate limited runs (counted: false) against neither.
+function scheduleRetry(id, { errorMessage, nextAttemptAt, notSynced = false, counted = true }) {
+  return new Promise((resolve, reject) => {
+    const counter = notSynced ? 'sync_attempts' : 'attempts';
+    const sql = `
+      UPDATE orders
+      SET status = 'pending',
+          error_message = ?,
+          next_attempt_at = ?,
+          updated_at = CURRENT_TIMESTAMP,
+          last_check_at = CURRENT_TIMESTAMP${counted ? `,
+          ${counter} = COALESCE(${counter}, 0) + 1` : ''}
+      WHERE id = ?
+    `;
+
+    db.run(sql, [errorMessage, toSqliteTimestamp(nextAttemptAt), id], (err) => {
+      if (err) {
+        console.error('❌ Error scheduling retry:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// One row per processOrder run. steps is a JSON object of step → result.
+function recordAttempt(orderId, attempt) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO order_attempts (
+        order_id, started_at, finished_at, outcome, shipstation_order_id,
+        error_message, response_body, steps
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      orderId,
+      toSqliteTimestamp(attempt.startedAt),
+      toSqliteTimestamp(attempt.finishedAt),
+      attempt.outcome,
+      attempt.shipstationOrderId,
+      attempt.errorMessage,
+      attempt.responseBody,
+      JSON.stringify(attempt.steps)
+    ];
+
+    db.run(sql, params, (err) => {
+      if (err) {
+        console.error('❌ Error recording attempt:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function getOrderAttempts(orderId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM order_attempts WHERE order_id = ? ORDER BY started_at ASC, id ASC', [orderId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function getStats(shopDomain = null) {
   return new Promise((resolve, reject) => {
     const sql = `
       SELECT 
         status,
         COUNT(*) as count
       FROM orders
+      ${shopDomain ? 'WHERE shop_domain = ?' : ''}
       GROUP BY status
     `;
     
-    db.all(sql, [], (err, rows) => {
+    db.all(sql, shopDomain ? [shopDomain] : [], (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
   });
 }
 
-function getRecentOrders(limit = 100) {
+// Newest orders first, optionally filtered by shop, status, tag type,
+// creation time window and (partial) order number
+function getRecentOrders(limit = 100, filters = {}) {
   return new Promise((resolve, reject) => {
+    const { status, tagType, from, to, orderNumber, shopDomain, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (shopDomain) {
+      conditions.push('shop_domain = ?');
+      params.push(shopDomain);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (tagType) {
+      conditions.push(`(tag_type = ? OR EXISTS (SELECT 1 FROM json_each(orders.tags) WHERE value = ?))`);
+      params.push(tagType, tagType);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    if (orderNumber) {
+      conditions.push('order_number LIKE ?');
+      params.push(`%${orderNumber}%`);
+    }
+
     const sql = `
       SELECT * FROM orders 
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
       ORDER BY created_at DESC
-      LIMIT ?
+      LIMIT ? OFFSET ?
     `;
     
-    db.all(sql, [limit], (err, rows) => {
+    db.all(sql, [...params, limit, offset], (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
   });
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// EXPRESS APP SETUP
-// ═══════════════════════════════════════════════════════════════════════════
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Health check
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
-});
+// Which carrier rule, box and rate quotes were used the last time the order
+// was pushed (box/rates are null when parcel selection/rate shopping is off).
+// For split orders this is the first shipment; order_shipments has each one.
+function saveShippingSelections(id, { carrier, box, rates }) {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE orders SET carrier_selection = ?, box_selection = ?, rate_quotes = ? WHERE id = ?';
+    const json = value => (value ? JSON.stringify(value) : null);
+    db.run(sql, [json(carrier), json(box), json(rates), id], (err) => {
+      if (err) {
+        console.error('❌ Error saving shipping selections:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
 
-// List ShipStation packages (to find package codes)
-app.get('/packages', async (req, res) => {
+// Parsed JSON column of an order row, or null when unset or invalid
+function parseOrderJson(order, column) {
+  if (!order[column]) return null;
   try {
-    const client = axios.create({
-      baseURL: 'https://ssapi.shipstation.com',
-      auth: {
-        username: process.env.SHIPSTATION_API_KEY,
-        password: process.env.SHIPSTATION_API_SECRET
-      },
-      timeout: 15000
-    });
+    return JSON.parse(order[column]);
+  } catch (error) {
+    console.warn(`⚠️  Invalid ${column} on order ${order.order_number}: ${order[column]}`);
+    return null;
+  }
+}
 
-    // Get carriers first, then get packages for each carrier
-    const carriersResponse = await client.get('/carriers');
-    const carriers = carriersResponse.data || [];
+// Every tag for a row; rows queued before tag rules only have tag_type
+function getOrderTags(order) {
+  return parseOrderJson(order, 'tags') || [order.tag_type];
+}
 
-    const allPackages = [];
+function sameTags(a, b) {
+  return a.length === b.length && a.every(tag => b.includes(tag));
+}
 
-    for (const carrier of carriers) {
-      try {
-        const packagesResponse = await client.get(`/carriers/listpackages?carrierCode=${carrier.code}`);
-        const packages = packagesResponse.data || [];
-        allPackages.push({
-          carrier: carrier.name,
-          carrierCode: carrier.code,
-          packages: packages
-        });
-      } catch (err) {
-        console.log(`Could not get packages for ${carrier.code}`);
-      }
-    }
+// True when a held row's customization reasons no longer match a fresh
+// validation (address reasons come from the worker and are left alone)
+function customizationReviewChanged(order, reviewReasons) {
+  if (order.status !== 'needs_review') return false;
+  const stored = (parseOrderJson(order, 'review_reasons') || []).filter(reason => reason.type === 'customization');
+  const key = reasons => reasons.map(reason => `${reason.code}:${reason.message}`).sort().join('\n');
+  return key(stored) !== key(reviewReasons);
+}
 
-    res.json({
-      message: 'Available packages by carrier',
-      data: allPackages
+// Shop domains that have queued orders (for the dashboard filter)
+function getQueuedShopDomains() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT DISTINCT shop_domain FROM orders WHERE shop_domain IS NOT NULL ORDER BY shop_domain', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.shop_domain));
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  });
+}
+
+function getOrderById(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM orders WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        console.error('❌ Error getting order:', err);
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+// Remember every ShipStation order matched for a queue row (split orders,
+// other stores). Rows found earlier keep their last status.
+function saveOrderShipments(orderId, shipstationOrders) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO order_shipments (order_id, shipstation_order_id, shipstation_order_number, order_key, store_id)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(order_id, shipstation_order_id) DO UPDATE SET
+        shipstation_order_number = excluded.shipstation_order_number,
+        order_key = excluded.order_key,
+        store_id = excluded.store_id
+    `;
+    const statement = db.prepare(sql);
+
+    for (const shipstationOrder of shipstationOrders) {
+      statement.run([
+        orderId,
+        shipstationOrder.orderId,
+        shipstationOrder.orderNumber ?? null,
+        shipstationOrder.orderKey ?? null,
+        shipstationOrder.advancedOptions?.storeId ?? null
+      ]);
+    }
+
+    statement.finalize((err) => {
+      if (err) {
+        console.error('❌ Error saving ShipStation orders:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Outcome of pushing the note/tags to one ShipStation order, with the
+// carrier, box and rate quotes used for it. A completed push replaces the
+// rate quotes (null when rate shopping didn't run); a failed one keeps them.
+function updateOrderShipment(orderId, shipstationOrderId, { status, errorMessage = null, carrier = null, box = null, rates = null }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE order_shipments
+      SET status = ?,
+          error_message = ?,
+          carrier_selection = COALESCE(?, carrier_selection),
+          box_selection = COALESCE(?, box_selection),
+          rate_quotes = CASE WHEN ? = 'completed' THEN ? ELSE rate_quotes END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = ? AND shipstation_order_id = ?
+    `;
+    const json = value => (value ? JSON.stringify(value) : null);
+
+    db.run(sql, [status, errorMessage, json(carrier), json(box), status, json(rates), orderId, shipstationOrderId], (err) => {
+      if (err) {
+        console.error('❌ Error updating ShipStation order status:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function getOrderShipments(orderId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM order_shipments WHERE order_id = ? ORDER BY id', [orderId], (err, rows) => {
+      if (err) {
+        console.error('❌ Error getting ShipStation orders:', err);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Hold an order until someone resolves it on the dashboard
+function markNeedsReview(id, reasons) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET status = 'needs_review',
+          review_reasons = ?,
+          error_message = ?,
+          next_attempt_at = NULL,
+          updated_at = CURRENT_TIMESTAMP,
+          last_check_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    db.run(sql, [JSON.stringify(reasons), reasons.map(reason => reason.message).join('; '), id], (err) => {
+      if (err) {
+        console.error('❌ Error marking order for review:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Send a reviewed order back to the queue. approveAddress skips the address
+// checks from now on; otherwise the worker checks the (corrected) address
+// again. A note replaces the stored one (edited in review).
+function resolveReview(id, { approveAddress, user, note = null }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET status = 'pending',
+          review_approved_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE review_approved_at END,
+          formatted_note = COALESCE(?, formatted_note),
+          note_edited_at = CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP ELSE note_edited_at END,
+          reviewed_by = ?,
+          attempts = 0,
+          sync_attempts = 0,
+          next_attempt_at = NULL,
+          error_message = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'needs_review'
+    `;
+
+    db.run(sql, [approveAddress ? 1 : 0, note, note, user, id], (err) => {
+      if (err) {
+        console.error('❌ Error resolving review:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Set the queue priority from the priority rules, or as a manual bump by a
+// dashboard user (bumped orders keep their priority on later webhooks)
+function setOrderPriority(id, { priority, rule = null, bumpedBy = null }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET priority = ?,
+          priority_rule = ?,
+          priority_bumped_at = CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP ELSE priority_bumped_at END,
+          priority_bumped_by = COALESCE(?, priority_bumped_by),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    db.run(sql, [priority, rule, bumpedBy, bumpedBy, id], (err) => {
+      if (err) {
+        console.error('❌ Error setting order priority:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Put an order back in the queue with fresh retry budgets, due immediately.
+// Held and cancelled orders are left alone.
+function resetOrderForRetry(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET status = 'pending',
+          attempts = 0,
+          sync_attempts = 0,
+          next_attempt_at = NULL,
+          error_message = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status NOT IN ('needs_review', 'cancelled')
+    `;
+
+    db.run(sql, [id], (err) => {
+      if (err) {
+        console.error('❌ Error resetting order:', err);
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Requeue every order that was marked failed within the window (by the time
+// it failed, i.e. updated_at). Resolves with the number of rows requeued.
+function requeueFailedOrders(from, to) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE orders
+      SET status = 'pending',
+          attempts = 0,
+          sync_attempts = 0,
+          next_attempt_at = NULL,
+          error_message = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'failed'
+        AND updated_at >= ?
+        AND updated_at <= ?
+    `;
+
+    db.run(sql, [from, to], function(err) {
+      if (err) {
+        console.error('❌ Error requeueing failed orders:', err);
+        reject(err);
+        return;
+      }
+      resolve(this.changes);
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPRESS APP SETUP
+// ═══════════════════════════════════════════════════════════════════════════
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Escape text for HTML element content and quoted attribute values
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A <time> element that PST_TIME_SCRIPT rewrites to PST in the browser.
+// SQLite timestamps are UTC without a zone marker, so "Z" is added here.
+function formatTimeCell(sqliteTimestamp) {
+  if (!sqliteTimestamp) return '—';
+  const iso = String(sqliteTimestamp).replace(' ', 'T') + 'Z';
+  return `<time data-utc="${escapeHtml(iso)}">${escapeHtml(sqliteTimestamp)} UTC</time>`;
+}
+
+// Static script included at the end of each page; no order data in here
+const PST_TIME_SCRIPT = `
+  <script>
+    function formatPST(utcDateStr) {
+      const date = new Date(utcDateStr);
+      return date.toLocaleString('en-US', { 
+        timeZone: 'America/Los_Angeles',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: true
+      });
+    }
+
+    document.querySelectorAll('time[data-utc]').forEach((el) => {
+      el.textContent = formatPST(el.dataset.utc);
+    });
+    document.querySelectorAll('[data-now]').forEach((el) => {
+      el.textContent = formatPST(new Date().toISOString());
+    });
+  </script>`;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Everything except the Shopify webhooks, /health and the login page needs a
+// signed-in user. Accepted credentials, in order:
+//   1. session cookie from POST /login (browsers)
+//   2. HTTP Basic auth with a DASHBOARD_USERS account (scripts)
+//   3. "Authorization: Bearer <ADMIN_API_TOKEN>" or X-Api-Token (integrations)
+// DASHBOARD_USERS is "alice:<hash>,bob:<hash>"; create hashes with
+// `node server.js hash-password <password>`. Entries with a plain-text
+// password are ignored (with a warning at startup).
+const SESSION_COOKIE = 'queue_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const PUBLIC_PATHS = ['/health', '/login'];
+
+function parseDashboardUsers(value = '') {
+  const users = new Map();
+
+  for (const entry of String(value).split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+
+    const username = entry.slice(0, separator).trim();
+    const stored = entry.slice(separator + 1).trim();
+    if (!stored.startsWith('scrypt$')) {
+      console.warn(`⚠️  DASHBOARD_USERS entry for "${username}" is not a password hash and was ignored; create one with \`node server.js hash-password <password>\``);
+      continue;
+    }
+    users.set(username, stored);
+  }
+
+  return users;
+}
+
+const DASHBOARD_USERS = parseDashboardUsers(process.env.DASHBOARD_USERS);
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a), 'utf8');
+  const right = Buffer.from(String(b), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || !stored.startsWith('scrypt$')) return false;
+
+  const [, salt, hash] = stored.split('$');
+  const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+function checkUserPassword(username, password) {
+  return DASHBOARD_USERS.has(username) && verifyPassword(password, DASHBOARD_USERS.get(username));
+}
+
+function signValue(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+function createSessionCookie(username) {
+  const payload = Buffer.from(JSON.stringify({ u: username, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${signValue(payload)}`;
+}
+
+// A malformed value (e.g. "%E0") counts as no cookie instead of a 500
+function readCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(rest.join('='));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Username from a valid, unexpired session cookie for a user that still exists
+function readSession(req) {
+  const cookie = readCookie(req, SESSION_COOKIE);
+  if (!cookie) return null;
+
+  const [payload, signature] = cookie.split('.');
+  if (!payload || !signature || !safeEqual(signValue(payload), signature)) return null;
 
-// Dashboard
-app.get('/', async (req, res) => {
   try {
-    const stats = await getStats();
-    const recentOrders = await getRecentOrders(50);
-    
-    const html = `
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (session.exp < Date.now() || !DASHBOARD_USERS.has(session.u)) return null;
+    return session.u;
+  } catch {
+    return null;
+  }
+}
+
+function authenticateRequest(req) {
+  const sessionUser = readSession(req);
+  if (sessionUser) return sessionUser;
+
+  const authorization = req.get('Authorization') || '';
+
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice('Basic '.length), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    if (separator > 0 && checkUserPassword(username, decoded.slice(separator + 1))) return username;
+    return null;
+  }
+
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.get('X-Api-Token');
+
+  if (token && process.env.ADMIN_API_TOKEN && safeEqual(token, process.env.ADMIN_API_TOKEN)) {
+    return 'api-token';
+  }
+
+  return null;
+}
+
+function isPublicPath(requestPath) {
+  return PUBLIC_PATHS.includes(requestPath) || requestPath.startsWith('/webhooks/shopify/');
+}
+
+function requireAuth(req, res, next) {
+  if (isPublicPath(req.path)) return next();
+
+  const user = authenticateRequest(req);
+  if (user) {
+    req.user = user;
+    return next();
+  }
+
+  if (req.path.startsWith('/api/') || req.get('Authorization')) {
+    res.set('WWW-Authenticate', 'Basic realm="Webhook Queue"');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Only allow redirects back into this app after login. Browsers read "\" as
+// "/", so "/\evil.com" is rejected too; whatever is left must resolve to
+// this origin.
+function safeRedirectPath(value) {
+  const target = String(value || '/');
+  if (!target.startsWith('/') || target.includes('\\')) return '/';
+
+  try {
+    const base = 'http://queue.invalid';
+    const url = new URL(target, base);
+    return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/';
+  } catch {
+    return '/';
+  }
+}
+
+function renderLoginPage({ next = '/', error = null } = {}) {
+  return `
 <!DOCTYPE html>
 <html>
 <head>
-  <title>Webhook Queue Dashboard</title>
-  <meta http-equiv="refresh" content="30">
+  <title>Sign in · Webhook Queue</title>
   <style>
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      max-width: 1200px;
-      margin: 0 auto;
+      max-width: 360px;
+      margin: 80px auto;
       padding: 20px;
       background: #f3f4f6;
     }
-    h1 { color: #1f2937; }
-    .stats {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-      gap: 15px;
-      margin: 20px 0;
-    }
-    .stat-card {
+    form {
       background: white;
       padding: 20px;
       border-radius: 8px;
       box-shadow: 0 1px 3px rgba(0,0,0,0.1);
     }
-    .stat-number {
-      font-size: 32px;
-      font-weight: bold;
-      color: #6366f1;
-    }
-    .stat-label {
-      color: #6b7280;
-      font-size: 14px;
-      margin-top: 5px;
-    }
-    table {
+    label { display: block; margin-bottom: 12px; color: #374151; }
+    input[type=text], input[type=password] {
       width: 100%;
-      background: white;
-      border-radius: 8px;
-      overflow: hidden;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      padding: 8px;
+      box-sizing: border-box;
+      margin-top: 4px;
     }
-    th {
+    button {
       background: #6366f1;
       color: white;
-      padding: 12px;
-      text-align: left;
-    }
-    td {
-      padding: 12px;
-      border-bottom: 1px solid #e5e7eb;
-    }
-    tr:hover {
-      background: #f9fafb;
-    }
-    .status {
-      padding: 4px 8px;
+      border: none;
+      padding: 10px 20px;
       border-radius: 4px;
-      font-size: 12px;
-      font-weight: bold;
+      cursor: pointer;
+    }
+    .error { color: #991b1b; }
+  </style>
+</head>
+<body>
+  <h1>🎯 Webhook Queue</h1>
+  <form method="POST" action="/login">
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label>Username <input type="text" name="username" autocomplete="username" autofocus></label>
+    <label>Password <input type="password" name="password" autocomplete="current-password"></label>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>
+  `;
+}
+
+app.use(requireAuth);
+
+app.get('/login', (req, res) => {
+  res.send(renderLoginPage({ next: safeRedirectPath(req.query.next) }));
+});
+
+app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  const username = String(req.body.username || '');
+  const next = safeRedirectPath(req.body.next);
+
+  if (!checkUserPassword(username, String(req.body.password || ''))) {
+    console.warn(`⚠️  Failed dashboard login for "${username}"`);
+    return res.status(401).send(renderLoginPage({ next, error: 'Invalid username or password' }));
+  }
+
+  res.cookie(SESSION_COOKIE, createSessionCookie(username), {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_TTL_MS
+  });
+  console.log(`🔑 ${username} signed in`);
+  res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE);
+  res.redirect('/login');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROUTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Health check
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
+});
+
+// List ShipStation packages (to find package codes)
+app.get('/packages', async (req, res) => {
+  try {
+    // ?shop=<domain> lists packages for that shop's ShipStation account
+    const client = getShipStationClient(getShopConfig(req.query.shop));
+
+    // Get carriers first, then get packages for each carrier
+    const carriersResponse = await client.get('/carriers');
+    const carriers = carriersResponse.data || [];
+
+    const allPackages = [];
+
+    for (const carrier of carriers) {
+      try {
+        const packagesResponse = await client.get(`/carriers/listpackages?carrierCode=${carrier.code}`);
+        const packages = packagesResponse.data || [];
+        allPackages.push({
+          carrier: carrier.name,
+          carrierCode: carrier.code,
+          packages: packages
+        });
+      } catch (err) {
+        console.log(`Could not get packages for ${carrier.code}`);
+      }
+    }
+
+    res.json({
+      message: 'Available packages by carrier',
+      data: allPackages
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard
+app.get('/', async (req, res) => {
+  try {
+    const shopFilter = normalizeShopDomain(req.query.shop);
+    const stats = await getStats(shopFilter);
+    const recentOrders = await getRecentOrders(50, { shopDomain: shopFilter });
+    const shopDomains = [...new Set([
+      ...getRegisteredShops().map(shop => shop.domain),
+      ...await getQueuedShopDomains()
+    ])].sort();
+    const missingTags = getMissingShipStationTags();
+    const heldOrders = await getRecentOrders(100, { status: 'needs_review', shopDomain: shopFilter });
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Webhook Queue Dashboard</title>
+  <meta http-equiv="refresh" content="30">
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f3f4f6;
+    }
+    h1 { color: #1f2937; }
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 15px;
+      margin: 20px 0;
+    }
+    .stat-card {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .stat-number {
+      font-size: 32px;
+      font-weight: bold;
+      color: #6366f1;
+    }
+    .stat-label {
+      color: #6b7280;
+      font-size: 14px;
+      margin-top: 5px;
+    }
+    table {
+      width: 100%;
+      background: white;
+      border-radius: 8px;
+      overflow: hidden;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    th {
+      background: #6366f1;
+      color: white;
+      padding: 12px;
+      text-align: left;
+    }
+    td {
+      padding: 12px;
+      border-bottom: 1px solid #e5e7eb;
+    }
+    tr:hover {
+      background: #f9fafb;
+    }
+    .status {
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: bold;
     }
     .status-pending { background: #fef3c7; color: #92400e; }
     .status-completed { background: #d1fae5; color: #065f46; }
     .status-failed { background: #fee2e2; color: #991b1b; }
+    .status-cancelled { background: #e5e7eb; color: #374151; }
+    .status-needs_review { background: #ffedd5; color: #9a3412; }
     .tag-charm { color: #db2777; }
     .tag-customization { color: #7c3aed; }
+    .warning {
+      background: #fef3c7;
+      color: #92400e;
+      border: 1px solid #fcd34d;
+      border-radius: 8px;
+      padding: 12px 16px;
+      margin: 20px 0;
+    }
     .note-preview {
       max-width: 300px;
       overflow: hidden;
@@ -340,44 +1385,106 @@ app.get('/', async (req, res) => {
       color: #6b7280;
     }
   </style>
-  <script>
-    function formatPST(utcDateStr) {
-      const date = new Date(utcDateStr);
-      return date.toLocaleString('en-US', { 
-        timeZone: 'America/Los_Angeles',
-        year: 'numeric',
-        month: 'numeric',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: true
-      });
-    }
-  </script>
 </head>
 <body>
   <h1>🎯 Webhook Queue Dashboard</h1>
-  <p style="color: #6b7280;">Auto-refreshes every 30 seconds • Times shown in PST</p>
+  <p style="color: #6b7280;">
+    Auto-refreshes every 30 seconds • Times shown in PST • Signed in as ${escapeHtml(req.user)}
+    <form method="POST" action="/logout" style="display: inline;"><button type="submit">Sign out</button></form>
+  </p>
+
+  ${missingTags.length > 0 ? `
+  <div class="warning">
+    <strong>⚠️ Missing ShipStation tags.</strong> Orders with these tags stay pending until the tag exists in ShipStation:
+    <ul>
+      ${missingTags.map(tag => `
+        <li>"${escapeHtml(tag.tagName)}" (${escapeHtml(tag.tagType)}) in ${escapeHtml(tag.shop.name)}</li>
+      `).join('')}
+    </ul>
+  </div>
+  ` : ''}
   
   <div class="stats">
     ${stats.map(s => `
       <div class="stat-card">
-        <div class="stat-number">${s.count}</div>
-        <div class="stat-label">${s.status.toUpperCase()}</div>
+        <div class="stat-number">${escapeHtml(s.count)}</div>
+        <div class="stat-label">${escapeHtml(s.status.toUpperCase())}</div>
       </div>
     `).join('')}
   </div>
 
+  ${heldOrders.length > 0 ? `
+  <h2>🚩 Needs Review</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Order #</th>
+        <th>Shop</th>
+        <th>Reason</th>
+        <th>Held Since (PST)</th>
+        <th>Actions</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${heldOrders.map(order => `
+        <tr>
+          <td><strong><a href="/orders/${encodeURIComponent(order.id)}">${escapeHtml(order.order_number)}</a></strong></td>
+          <td>${escapeHtml(order.shop_domain ? getShopConfig(order.shop_domain).name : '—')}</td>
+          <td>${escapeHtml(order.error_message || '')}</td>
+          <td>${formatTimeCell(order.updated_at)}</td>
+          <td class="review-actions" data-order-id="${escapeHtml(order.id)}">
+            <button data-action="approve">Approve</button>
+            <a href="/orders/${encodeURIComponent(order.id)}#review">Edit</a>
+            <button data-action="reject">Reject</button>
+          </td>
+        </tr>
+      `).join('')}
+    </tbody>
+  </table>
+  <script>
+    document.querySelectorAll('.review-actions button').forEach((button) => {
+      button.addEventListener('click', async () => {
+        const cell = button.parentElement;
+        const response = await fetch('/api/orders/' + encodeURIComponent(cell.dataset.orderId) + '/review', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action: button.dataset.action })
+        });
+
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          const result = await response.json();
+          alert(result.error || response.statusText);
+        }
+      });
+    });
+  </script>
+  ` : ''}
+
   <h2>Recent Orders</h2>
+  <form method="GET" action="/" style="margin-bottom: 15px;">
+    <label>Shop:
+      <select name="shop" onchange="this.form.submit()">
+        <option value="">All shops</option>
+        ${shopDomains.map(domain => `
+          <option value="${escapeHtml(domain)}" ${domain === shopFilter ? 'selected' : ''}>${escapeHtml(getShopConfig(domain).name)} (${escapeHtml(domain)})</option>
+        `).join('')}
+      </select>
+    </label>
+    <noscript><button type="submit">Filter</button></noscript>
+  </form>
   <table>
     <thead>
       <tr>
         <th>Order #</th>
+        <th>Shop</th>
         <th>Status</th>
+        <th>Priority</th>
         <th>Tag</th>
         <th>Note Preview</th>
         <th>Attempts</th>
+        <th>Next Attempt (PST)</th>
         <th>Created (PST)</th>
         <th>Updated (PST)</th>
       </tr>
@@ -385,542 +1492,3985 @@ app.get('/', async (req, res) => {
     <tbody>
       ${recentOrders.map(order => `
         <tr>
-          <td><strong>${order.order_number}</strong></td>
-          <td><span class="status status-${order.status}">${order.status}</span></td>
-          <td><span class="tag-${order.tag_type}">${order.tag_type}</span></td>
-          <td class="note-preview">${order.formatted_note.substring(0, 50)}...</td>
-          <td>${order.attempts}</td>
-          <td><script>document.write(formatPST('${order.created_at}'));</script></td>
-          <td><script>document.write(formatPST('${order.updated_at}'));</script></td>
+          <td><strong><a href="/orders/${encodeURIComponent(order.id)}">${escapeHtml(order.order_number)}</a></strong></td>
+          <td>${escapeHtml(order.shop_domain ? getShopConfig(order.shop_domain).name : '—')}</td>
+          <td><span class="status status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span></td>
+          <td title="${escapeHtml(order.priority_bumped_by ? `bumped by ${order.priority_bumped_by}` : (order.priority_rule || 'default'))}">
+            ${escapeHtml(order.priority)}${order.priority_bumped_at ? ' ⚡' : ''}
+            ${canBumpPriority(order) ? `<button class="bump" data-order-id="${escapeHtml(order.id)}">Bump</button>` : ''}
+          </td>
+          <td>${getOrderTags(order).map(tag => `<span class="tag-${escapeHtml(tag.replace(/\W+/g, '-'))}">${escapeHtml(tag)}</span>`).join(', ')}</td>
+          <td class="note-preview">${escapeHtml(order.formatted_note.substring(0, 50))}...</td>
+          <td>${escapeHtml(order.attempts)}${order.sync_attempts ? ` <span style="color: #6b7280;">(+${escapeHtml(order.sync_attempts)} not synced)</span>` : ''}</td>
+          <td>${order.status === 'pending' ? formatTimeCell(order.next_attempt_at) : '—'}</td>
+          <td>${formatTimeCell(order.created_at)}</td>
+          <td>${formatTimeCell(order.updated_at)}</td>
         </tr>
       `).join('')}
     </tbody>
   </table>
+  <script>
+    document.querySelectorAll('button.bump').forEach((button) => {
+      button.addEventListener('click', async () => {
+        const response = await fetch('/api/orders/' + encodeURIComponent(button.dataset.orderId) + '/bump', { method: 'POST' });
+
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          const result = await response.json();
+          alert(result.error || response.statusText);
+        }
+      });
+    });
+  </script>
 
   <div style="margin-top: 20px; padding: 15px; background: white; border-radius: 8px;">
     <h3>🛠️ System Info</h3>
     <p><strong>Mode:</strong> Combined (Webhook + Worker in one process)</p>
-    <p><strong>Endpoint:</strong> POST /webhooks/shopify/orders/create</p>
+    <p><strong>Endpoints:</strong> ${SHOPIFY_ORDER_TOPICS.map(topic => `POST /webhooks/shopify/${topic}`).join(', ')}</p>
     <p><strong>Worker:</strong> Running in background (checks every 5 min)</p>
-    <p><strong>Database:</strong> ${DB_PATH}</p>
-    <p><strong>Current Time (PST):</strong> <script>document.write(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));</script></p>
+    <p><strong>Database:</strong> ${escapeHtml(DB_PATH)}</p>
+    <p><strong>Customization rules:</strong> ${escapeHtml(CUSTOMIZATION_RULES_PATH)}</p>
+    <p><strong>Note layouts:</strong> ${escapeHtml(NOTE_LAYOUTS_PATH)}</p>
+    <p><strong>Shop registry:</strong> ${escapeHtml(SHOPS_PATH)} (${getRegisteredShops().length} shops)</p>
+    <p><strong>Carrier rules:</strong> ${escapeHtml(CARRIER_RULES_PATH)} (${carrierRules.get().rules.length} rules, rate shopping ${carrierRules.get().rateShopping.enabled ? 'on' : 'off'})</p>
+    <p><strong>Priority rules:</strong> ${escapeHtml(PRIORITY_RULES_PATH)} (${priorityRules.get().rules.length} rules, bump to ${escapeHtml(priorityRules.get().bumpPriority)})</p>
+    <p><strong>Box catalog:</strong> ${escapeHtml(BOXES_PATH)} (parcel selection ${boxCatalog.get().enabled ? 'on' : 'off'})</p>
+    <p><strong>Formatter preview:</strong> <a href="/preview">/preview</a></p>
+    <p><strong>Production report:</strong> <a href="/reports/production">/reports/production</a></p>
+    <p><strong>Work sheets:</strong> <a href="/sheets">/sheets</a> (charm orders from the last 24 hours)</p>
+    ${getShipStationRateLimits().map(rate => `
+    <p><strong>ShipStation rate limit (${escapeHtml(rate.shop)}):</strong> ${rate.remaining === null ? 'unknown' : `${escapeHtml(rate.remaining)}/${escapeHtml(rate.limit ?? '?')} left`}${rate.resetAt ? `, resets <time data-utc="${escapeHtml(rate.resetAt)}"></time>` : ''}</p>
+    `).join('')}
+    <p><strong>Current Time (PST):</strong> <span data-now></span></p>
   </div>
+  ${PST_TIME_SCRIPT}
 </body>
 </html>
     `;
     
     res.send(html);
   } catch (error) {
-    res.status(500).send('Error loading dashboard: ' + error.message);
+    res.status(500).send('Error loading dashboard: ' + escapeHtml(error.message));
+  }
+});
+
+// Order detail: full note, processing timeline and the Shopify payload
+app.get('/orders/:id', async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.id);
+
+    if (!order) {
+      return res.status(404).send('Order not found');
+    }
+
+    const attempts = await getOrderAttempts(order.id);
+    const shipments = await getOrderShipments(order.id);
+    const carrier = parseOrderJson(order, 'carrier_selection');
+    const box = parseOrderJson(order, 'box_selection');
+    const reviewReasons = parseOrderJson(order, 'review_reasons');
+    const rates = parseOrderJson(order, 'rate_quotes');
+    const payload = order.payload_id ? await getPayload(order.payload_id) : null;
+
+    let payloadJson = '';
+    if (payload) {
+      try {
+        payloadJson = JSON.stringify(JSON.parse(payload.raw_body), null, 2);
+      } catch {
+        payloadJson = payload.raw_body;
+      }
+    }
+
+    // One panel per ShipStation order on split orders, whose quotes differ
+    const renderRateQuotes = (rates, heading) => `
+  <div class="panel">
+    <h2>${escapeHtml(heading)}</h2>
+    <p>Quoted <time data-utc="${escapeHtml(rates.quotedAt)}">${escapeHtml(rates.quotedAt)}</time>${rates.error ? ` — ${escapeHtml(rates.error)}` : ''}</p>
+    <table>
+      <thead>
+        <tr>
+          <th>Carrier</th>
+          <th>Service</th>
+          <th>Cost</th>
+          <th>Transit Days</th>
+          <th>Result</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rates.quotes.map(quote => {
+          const chosen = rates.chosen && rates.chosen.carrierCode === quote.carrierCode && rates.chosen.serviceCode === quote.serviceCode;
+          return `
+        <tr>
+          <td>${escapeHtml(quote.carrierCode)}</td>
+          <td>${escapeHtml(quote.serviceName)} <code>${escapeHtml(quote.serviceCode)}</code></td>
+          <td>$${escapeHtml(quote.cost.toFixed(2))}</td>
+          <td>${escapeHtml(quote.transitDays ?? '—')}</td>
+          <td>${chosen ? '<strong>✅ chosen</strong>' : escapeHtml(quote.skipped || '')}</td>
+        </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+  </div>
+  `;
+    const ratePanels = shipments.length > 1
+      ? shipments.map(shipment => ({
+        rates: parseOrderJson(shipment, 'rate_quotes'),
+        heading: `Rate Quotes — ShipStation order ${shipment.shipstation_order_number || shipment.shipstation_order_id}`
+      }))
+      : [{ rates, heading: 'Rate Quotes' }];
+
+    const formatSteps = (steps) => {
+      try {
+        return Object.entries(JSON.parse(steps || '{}'))
+          .map(([name, result]) => `<span class="step step-${escapeHtml(result)}">${escapeHtml(name)}: ${escapeHtml(result)}</span>`)
+          .join(' ');
+      } catch {
+        return escapeHtml(steps);
+      }
+    };
+
+    res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Order ${escapeHtml(order.order_number)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f3f4f6;
+    }
+    h1 { color: #1f2937; }
+    .panel {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      margin-bottom: 20px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th {
+      background: #6366f1;
+      color: white;
+      padding: 12px;
+      text-align: left;
+    }
+    td {
+      padding: 12px;
+      border-bottom: 1px solid #e5e7eb;
+      vertical-align: top;
+    }
+    pre {
+      background: #f9fafb;
+      padding: 15px;
+      border-radius: 4px;
+      white-space: pre-wrap;
+      font-size: 12px;
+    }
+    .status {
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: bold;
+    }
+    .status-pending, .status-retry, .status-not_synced, .status-rate_limited, .status-missing_tags { background: #fef3c7; color: #92400e; }
+    .status-completed { background: #d1fae5; color: #065f46; }
+    .status-failed, .status-error { background: #fee2e2; color: #991b1b; }
+    .status-cancelled { background: #e5e7eb; color: #374151; }
+    .status-needs_review, .step-needs_review { background: #ffedd5; color: #9a3412; }
+    .step {
+      display: inline-block;
+      font-size: 12px;
+      padding: 2px 6px;
+      margin: 2px;
+      border-radius: 4px;
+      background: #e5e7eb;
+    }
+    .step-ok, .step-found { background: #d1fae5; }
+    .step-failed { background: #fee2e2; }
+    .step-missing, .step-not_found { background: #fef3c7; }
+  </style>
+</head>
+<body>
+  <p><a href="/">← Back to dashboard</a></p>
+  <h1>📦 Order ${escapeHtml(order.order_number)}</h1>
+  <p><a href="/orders/${encodeURIComponent(order.id)}/sheet">🖨️ Work sheet</a></p>
+
+  <div class="panel">
+    <p><strong>Status:</strong> <span class="status status-${escapeHtml(order.status)}">${escapeHtml(order.status)}</span></p>
+    <p><strong>Shop:</strong> ${escapeHtml(order.shop_domain || '—')}</p>
+    <p><strong>Tags:</strong> ${escapeHtml(getOrderTags(order).join(', '))}</p>
+    <p id="priority" data-order-id="${escapeHtml(order.id)}"><strong>Priority:</strong> ${escapeHtml(order.priority)}
+      (${order.priority_bumped_at ? `bumped ${formatTimeCell(order.priority_bumped_at)} by ${escapeHtml(order.priority_bumped_by || 'unknown')}` : escapeHtml(order.priority_rule || 'default')})
+      ${canBumpPriority(order) ? '<button type="button">⚡ Bump priority</button>' : ''}
+    </p>
+    ${carrier ? `<p><strong>Carrier:</strong> ${escapeHtml(carrier.carrierCode)} / ${escapeHtml(carrier.serviceCode)}${carrier.confirmation ? ` (confirmation: ${escapeHtml(carrier.confirmation)})` : ''} — rule: ${escapeHtml(carrier.rule)}</p>` : ''}
+    ${box ? `<p><strong>Box:</strong> ${escapeHtml(box.name)} (${escapeHtml(box.dimensions.length)} × ${escapeHtml(box.dimensions.width)} × ${escapeHtml(box.dimensions.height)} ${escapeHtml(box.dimensions.units)}; ${escapeHtml(box.weightKg)} kg, ${escapeHtml(box.itemCount)} items, volume ${escapeHtml(box.volume)}${box.oversize ? ', nothing fit' : ''})</p>` : ''}
+    <p><strong>Shopify order ID:</strong> ${escapeHtml(order.shopify_order_id)}</p>
+    <p><strong>ShipStation order ID:</strong> ${escapeHtml(order.shipstation_order_id || '—')}</p>
+    <p><strong>Attempts:</strong> ${escapeHtml(order.attempts)} (not synced: ${escapeHtml(order.sync_attempts || 0)})</p>
+    ${order.error_message ? `<p><strong>Last error:</strong> ${escapeHtml(order.error_message)}</p>` : ''}
+    ${order.cancelled_at ? `<p><strong>Cancelled:</strong> ${escapeHtml(order.cancelled_at)} UTC (${escapeHtml(order.cancel_reason || 'no reason')})</p>` : ''}
+    ${order.review_approved_at ? `<p><strong>Address approved:</strong> ${formatTimeCell(order.review_approved_at)} by ${escapeHtml(order.reviewed_by || 'unknown')}</p>` : ''}
+    ${order.note_edited_at ? `<p><strong>Note edited in review:</strong> ${formatTimeCell(order.note_edited_at)} by ${escapeHtml(order.reviewed_by || 'unknown')}</p>` : ''}
+  </div>
+
+  <script>
+    document.querySelectorAll('#priority button').forEach((button) => {
+      button.addEventListener('click', async () => {
+        const orderId = document.getElementById('priority').dataset.orderId;
+        const response = await fetch('/api/orders/' + encodeURIComponent(orderId) + '/bump', { method: 'POST' });
+
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          const result = await response.json();
+          alert(result.error || response.statusText);
+        }
+      });
+    });
+  </script>
+
+  ${order.status === 'needs_review' ? `
+  <div class="panel" id="review" data-order-id="${escapeHtml(order.id)}">
+    <h2>🚩 Needs Review</h2>
+    <ul>
+      ${(reviewReasons || []).map(reason => `<li>${escapeHtml(reason.message)}</li>`).join('')}
+    </ul>
+    ${(reviewReasons || []).some(reason => reason.type === 'address') ? `
+    <button data-action="approve">Approve address as is</button>
+    <button data-action="recheck">Address fixed in ShipStation — check again</button>
+    ` : `
+    <p><textarea id="reviewNote" rows="12" style="width: 100%; font-family: monospace;">${escapeHtml(order.formatted_note)}</textarea></p>
+    <button data-action="approve">Approve customizations as is</button>
+    <button data-action="edit">Send edited note</button>
+    `}
+    <button data-action="reject">Reject (cancel order)</button>
+    <p id="reviewResult"></p>
+  </div>
+  <script>
+    document.querySelectorAll('#review button').forEach((button) => {
+      button.addEventListener('click', async () => {
+        const panel = document.getElementById('review');
+        const action = button.dataset.action;
+        const url = '/api/orders/' + encodeURIComponent(panel.dataset.orderId) + '/review';
+        const body = action === 'edit' ? { action, note: document.getElementById('reviewNote').value } : { action };
+
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          document.getElementById('reviewResult').textContent = result.error || response.statusText;
+        }
+      });
+    });
+  </script>
+  ` : ''}
+
+  <div class="panel">
+    <h2>Note</h2>
+    <pre>${escapeHtml(order.formatted_note)}</pre>
+  </div>
+
+  ${shipments.length > 0 ? `
+  <div class="panel">
+    <h2>ShipStation Orders</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>ShipStation ID</th>
+          <th>Order #</th>
+          <th>Order Key</th>
+          <th>Store</th>
+          <th>Status</th>
+          <th>Carrier / Box</th>
+          <th>Updated (PST)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${shipments.map(shipment => {
+          const shipmentCarrier = parseOrderJson(shipment, 'carrier_selection');
+          const shipmentBox = parseOrderJson(shipment, 'box_selection');
+          return `
+        <tr>
+          <td>${escapeHtml(shipment.shipstation_order_id)}</td>
+          <td>${escapeHtml(shipment.shipstation_order_number || '—')}</td>
+          <td>${escapeHtml(shipment.order_key || '—')}</td>
+          <td>${escapeHtml(shipment.store_id ?? '—')}</td>
+          <td><span class="status status-${escapeHtml(shipment.status)}">${escapeHtml(shipment.status)}</span>${shipment.error_message ? `<br>${escapeHtml(shipment.error_message)}` : ''}</td>
+          <td>${shipmentCarrier ? `${escapeHtml(shipmentCarrier.carrierCode)} / ${escapeHtml(shipmentCarrier.serviceCode)} <span style="color: #6b7280;">(${escapeHtml(shipmentCarrier.rule)})</span>` : '—'}${shipmentBox ? `<br>${escapeHtml(shipmentBox.name)}` : ''}</td>
+          <td>${formatTimeCell(shipment.updated_at)}</td>
+        </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+  </div>
+  ` : ''}
+
+  ${ratePanels.filter(panel => panel.rates).map(panel => renderRateQuotes(panel.rates, panel.heading)).join('')}
+
+  <div class="panel">
+    <h2>Processing History</h2>
+    ${attempts.length === 0 ? '<p>No attempts yet.</p>' : `
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Started (PST)</th>
+          <th>Duration</th>
+          <th>Outcome</th>
+          <th>ShipStation ID</th>
+          <th>Steps</th>
+          <th>Error</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${attempts.map((attempt, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td>${formatTimeCell(attempt.started_at)}</td>
+            <td>${Math.max(0, (new Date(attempt.finished_at + 'Z') - new Date(attempt.started_at + 'Z')) / 1000)}s</td>
+            <td><span class="status status-${escapeHtml(attempt.outcome)}">${escapeHtml(attempt.outcome)}</span></td>
+            <td>${escapeHtml(attempt.shipstation_order_id || '—')}</td>
+            <td>${formatSteps(attempt.steps)}</td>
+            <td>
+              ${escapeHtml(attempt.error_message || '')}
+              ${attempt.response_body ? `<details><summary>ShipStation response</summary><pre>${escapeHtml(attempt.response_body)}</pre></details>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>`}
+  </div>
+
+  ${payload ? `
+  <div class="panel">
+    <h2>Shopify Payload</h2>
+    <p>${escapeHtml(payload.topic)} from ${escapeHtml(payload.shop_domain)}, received ${escapeHtml(payload.received_at)} UTC (webhook ${escapeHtml(payload.webhook_id || 'n/a')})</p>
+    <details><summary>Raw JSON</summary><pre>${escapeHtml(payloadJson)}</pre></details>
+  </div>` : ''}
+  ${PST_TIME_SCRIPT}
+</body>
+</html>
+    `);
+  } catch (error) {
+    res.status(500).send('Error loading order: ' + escapeHtml(error.message));
+  }
+});
+
+// Work sheet for one order, as a printable page or PDF
+app.get('/orders/:id/sheet', async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.id);
+    if (!order) return res.status(404).send('Order not found');
+
+    const controls = `
+  <div class="controls">
+    <a href="/orders/${encodeURIComponent(order.id)}">← Back to order</a> •
+    <button type="button" onclick="window.print()">🖨️ Print</button> •
+    <a href="/orders/${encodeURIComponent(order.id)}/sheet.pdf">Download PDF</a>
+  </div>`;
+
+    res.send(renderWorkSheetsPage({
+      title: `Work sheet ${order.order_number}`,
+      sheets: [await buildWorkSheet(order)],
+      controls
+    }));
+  } catch (error) {
+    res.status(500).send('Error loading work sheet: ' + escapeHtml(error.message));
+  }
+});
+
+app.get('/orders/:id/sheet.pdf', async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.id);
+    if (!order) return res.status(404).send('Order not found');
+
+    sendWorkSheetsPdf(res, [await buildWorkSheet(order)], `work-sheet-${order.order_number}.pdf`);
+  } catch (error) {
+    res.status(500).send('Error building work sheet: ' + escapeHtml(error.message));
+  }
+});
+
+// Batch work sheets: /sheets?tag=charm&from=<ISO>&to=<ISO>&shop=<domain>
+// (tag defaults to charm, the window to the last 24 hours)
+app.get('/sheets', async (req, res) => {
+  try {
+    const batch = await getWorkSheetBatch(req.query);
+    const toIso = sqliteTimestamp => String(sqliteTimestamp).replace(' ', 'T') + 'Z';
+    const query = new URLSearchParams({ tag: batch.tag, from: toIso(batch.from), to: toIso(batch.to) });
+    if (batch.shopDomain) query.set('shop', batch.shopDomain);
+
+    const controls = `
+  <div class="controls">
+    <p><a href="/">← Back to dashboard</a></p>
+    <form method="GET" action="/sheets">
+      <label>Tag: <input name="tag" value="${escapeHtml(batch.tag)}" size="12"></label>
+      <label>From: <input type="datetime-local" data-utc-field="from"></label>
+      <label>To: <input type="datetime-local" data-utc-field="to"></label>
+      <input type="hidden" name="from" value="${escapeHtml(toIso(batch.from))}">
+      <input type="hidden" name="to" value="${escapeHtml(toIso(batch.to))}">
+      ${batch.shopDomain ? `<input type="hidden" name="shop" value="${escapeHtml(batch.shopDomain)}">` : ''}
+      <button type="submit">Show</button>
+    </form>
+    <p>
+      ${escapeHtml(batch.sheets.length)} orders tagged "${escapeHtml(batch.tag)}" created
+      ${formatTimeCell(batch.from)} – ${formatTimeCell(batch.to)}${batch.truncated ? ` (first ${escapeHtml(WORK_SHEET_BATCH_LIMIT)} only)` : ''} •
+      <button type="button" onclick="window.print()">🖨️ Print</button> •
+      <a href="/sheets.pdf?${escapeHtml(query.toString())}">Download PDF</a>
+    </p>
+  </div>
+  <script>
+    // The window is entered in local time and sent as UTC
+    document.querySelectorAll('[data-utc-field]').forEach((input) => {
+      const hidden = input.form.elements[input.dataset.utcField];
+      const date = new Date(hidden.value);
+      input.value = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+      input.addEventListener('change', () => {
+        if (input.value) hidden.value = new Date(input.value).toISOString();
+      });
+    });
+  </script>`;
+
+    res.send(renderWorkSheetsPage({ title: `Work sheets: ${batch.tag}`, sheets: batch.sheets, controls }));
+  } catch (error) {
+    res.status(error.statusCode || 500).send('Error loading work sheets: ' + escapeHtml(error.message));
+  }
+});
+
+app.get('/sheets.pdf', async (req, res) => {
+  try {
+    const batch = await getWorkSheetBatch(req.query);
+    const day = batch.from.slice(0, 10);
+    sendWorkSheetsPdf(res, batch.sheets, `work-sheets-${batch.tag.replace(/\W+/g, '-')}-${day}.pdf`);
+  } catch (error) {
+    res.status(error.statusCode || 500).send('Error building work sheets: ' + escapeHtml(error.message));
+  }
+});
+
+// Production planning report (data from GET /api/reports/production)
+app.get('/reports/production', async (req, res) => {
+  try {
+    const report = await buildProductionReport(parseReportRange(req.query));
+    const query = new URLSearchParams({ from: report.from, to: report.to });
+    const labels = {
+      charms: 'Charms',
+      monogramLetters: 'Monogram Letters',
+      placements: 'Ribbon Placements',
+      freeGifts: 'Free Gifts'
+    };
+
+    const renderCounts = (summary) => `
+      <div class="categories">
+        ${REPORT_CATEGORIES.map(category => `
+          <table>
+            <thead><tr><th>${escapeHtml(labels[category])}</th><th>Count</th></tr></thead>
+            <tbody>
+              ${summary[category].length > 0
+                ? summary[category].map(({ name, count }) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(count)}</td></tr>`).join('')
+                : '<tr><td colspan="2" class="empty">None</td></tr>'}
+            </tbody>
+          </table>
+        `).join('')}
+      </div>`;
+
+    res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Production Report</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f3f4f6;
+    }
+    h1 { color: #1f2937; }
+    .panel {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      margin-bottom: 20px;
+    }
+    .categories {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+      gap: 15px;
+      align-items: start;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th {
+      background: #6366f1;
+      color: white;
+      padding: 8px 12px;
+      text-align: left;
+    }
+    td {
+      padding: 8px 12px;
+      border-bottom: 1px solid #e5e7eb;
+    }
+    .empty { color: #9ca3af; }
+  </style>
+</head>
+<body>
+  <p><a href="/">← Back to dashboard</a></p>
+  <h1>📋 Production Report</h1>
+
+  <form method="GET" action="/reports/production" class="panel">
+    <label>From: <input type="date" name="from" value="${escapeHtml(report.from)}"></label>
+    <label>To: <input type="date" name="to" value="${escapeHtml(report.to)}"></label>
+    <button type="submit">Show</button>
+    • <a href="/api/reports/production?${escapeHtml(query.toString())}&amp;format=csv">CSV</a>
+    • <a href="/api/reports/production?${escapeHtml(query.toString())}">JSON</a>
+    <p style="color: #6b7280;">Days in PST. Counts come from the Shopify payloads of all orders except cancelled ones.</p>
+  </form>
+
+  <div class="panel">
+    <h2>Total: ${escapeHtml(report.from)}${report.to !== report.from ? ` – ${escapeHtml(report.to)}` : ''} (${escapeHtml(report.total.orders)} orders)</h2>
+    ${renderCounts(report.total)}
+  </div>
+
+  ${report.days.length > 1 ? report.days.filter(day => day.orders > 0).map(day => `
+  <div class="panel">
+    <h2>${escapeHtml(day.date)} (${escapeHtml(day.orders)} orders)</h2>
+    ${renderCounts(day)}
+  </div>
+  `).join('') : ''}
+</body>
+</html>
+    `);
+  } catch (error) {
+    res.status(error.statusCode || 500).send('Error loading production report: ' + escapeHtml(error.message));
+  }
+});
+
+// Formatter preview (dry run, see POST /api/preview)
+app.get('/preview', (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Customization Preview</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f3f4f6;
+    }
+    h1 { color: #1f2937; }
+    .panel {
+      background: white;
+      padding: 20px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      margin-bottom: 20px;
+    }
+    textarea {
+      width: 100%;
+      height: 300px;
+      font-family: monospace;
+      font-size: 12px;
+      box-sizing: border-box;
+    }
+    button {
+      background: #6366f1;
+      color: white;
+      border: none;
+      padding: 10px 20px;
+      border-radius: 4px;
+      cursor: pointer;
+      margin-top: 10px;
+    }
+    pre {
+      background: #f9fafb;
+      padding: 15px;
+      border-radius: 4px;
+      white-space: pre-wrap;
+    }
+    .error { color: #991b1b; }
+  </style>
+</head>
+<body>
+  <h1>🔍 Customization Preview</h1>
+  <p style="color: #6b7280;">Paste a Shopify order JSON to see what the webhook would queue. Nothing is saved or sent to ShipStation. <a href="/">Back to dashboard</a></p>
+
+  <div class="panel">
+    <textarea id="order" placeholder='{"name": "#1001", "line_items": [...], "shipping_address": {...}}'></textarea>
+    <label>Layout:
+      <select id="layout">
+        <option value="">(chosen by layout rules)</option>
+        ${getNoteLayoutNames().map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+      </select>
+    </label>
+    <button id="run">Preview</button>
+  </div>
+
+  <div class="panel">
+    <p><strong>Tag type:</strong> <span id="tagType">—</span></p>
+    <p><strong>Layout:</strong> <span id="layoutName">—</span></p>
+    <p><strong>Destination:</strong> <span id="destination">—</span></p>
+    <p><strong>Carrier / service:</strong> <span id="carrier">—</span></p>
+    <p><strong>Validation:</strong> <span id="validation">—</span></p>
+    <p><strong>Priority:</strong> <span id="priority">—</span></p>
+    <p><strong>Address risks:</strong> <span id="addressRisks">—</span></p>
+    <p><strong>Items:</strong> <span id="counts">—</span></p>
+    <pre id="note">—</pre>
+  </div>
+
+  <script>
+    document.getElementById('run').addEventListener('click', async () => {
+      const note = document.getElementById('note');
+      note.className = '';
+
+      try {
+        const layout = document.getElementById('layout').value;
+        const response = await fetch('/api/preview' + (layout ? '?layout=' + encodeURIComponent(layout) : ''), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: document.getElementById('order').value
+        });
+        const result = await response.json();
+
+        if (!response.ok) throw new Error(result.error || response.statusText);
+
+        document.getElementById('tagType').textContent = result.tagType + ' (tags: ' + result.tags.join(', ') + ')';
+        document.getElementById('layoutName').textContent = result.layout;
+        document.getElementById('destination').textContent = result.destinationType + ' (' + (result.shipTo.country || 'no country') + ')';
+        document.getElementById('carrier').textContent = result.carrier
+          ? result.carrier.carrierCode + ' / ' + result.carrier.serviceCode +
+            (result.carrier.confirmation ? ' (confirmation: ' + result.carrier.confirmation + ')' : '') +
+            ' — rule: ' + result.carrier.rule
+          : 'held for review';
+        document.getElementById('validation').textContent = result.validation.length
+          ? 'held for review: ' + result.validation.map((reason) => reason.message).join('; ')
+          : 'passed';
+        document.getElementById('priority').textContent = result.priority.priority + ' (' + (result.priority.rule || 'default') + ')';
+        document.getElementById('addressRisks').textContent = result.addressRisks.length
+          ? result.addressRisks.map((risk) => risk.message).join('; ')
+          : 'none';
+        document.getElementById('counts').textContent = 'duo: ' + result.duoCount + ', tepo: ' + result.regularCount;
+        note.textContent = result.formattedNote || '(no customizations — the webhook would skip this order)';
+      } catch (error) {
+        note.className = 'error';
+        note.textContent = 'Error: ' + error.message;
+      }
+    });
+  </script>
+</body>
+</html>
+  `);
+});
+
+// Webhook endpoints (one per Shopify order topic)
+const SHOPIFY_ORDER_TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled'];
+
+for (const topic of SHOPIFY_ORDER_TOPICS) {
+  app.post(`/webhooks/shopify/${topic}`,
+    express.raw({ type: 'application/json' }),
+    handleWebhook
+  );
+}
+
+app.use(express.json({ limit: '2mb' }));
+
+// Dry run of the webhook handler: no HMAC, no database, no ShipStation
+app.post('/api/preview', (req, res) => {
+  try {
+    // Accept either the bare order or { "order": {...} }
+    const order = req.body && req.body.order ? req.body.order : req.body;
+
+    if (!order || !Array.isArray(order.line_items)) {
+      return res.status(400).json({ error: 'Expected a Shopify order with a line_items array' });
+    }
+
+    res.json(previewOrder(order, { layout: req.query.layout || null, shopDomain: req.query.shop || null }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Re-run the formatter over archived payloads (see REPROCESSING below)
+app.post('/api/reprocess', async (req, res) => {
+  try {
+    const results = await reprocessOrders({
+      from: req.body.from || null,
+      to: req.body.to || null,
+      orderNumbers: normalizeOrderNumbers(req.body.orderNumbers),
+      requeue: req.body.requeue === true
+    });
+
+    res.json({
+      total: results.length,
+      changed: results.filter(r => r.changed).length,
+      requeued: results.filter(r => r.requeued).length,
+      results
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUEUE API
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ORDER_STATUSES = ['pending', 'needs_review', 'completed', 'failed', 'cancelled'];
+
+// Parse an ISO date/time query value into SQLite's timestamp format
+function parseTimestampParam(value, name) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`Invalid ${name}: expected an ISO date or date-time`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return toSqliteTimestamp(date);
+}
+
+async function findOrderOr404(req, res) {
+  const order = await getOrderById(req.params.id);
+  if (!order) res.status(404).json({ error: `Order ${req.params.id} not found` });
+  return order;
+}
+
+// GET /api/orders?status=failed&tag=charm&shop=x.myshopify.com&from=2024-01-01&to=...&orderNumber=1001&limit=50&offset=0
+app.get('/api/orders', async (req, res) => {
+  try {
+    if (req.query.status && !ORDER_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `Invalid status: expected one of ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const orders = await getRecentOrders(limit, {
+      status: req.query.status || null,
+      tagType: req.query.tag || null,
+      from: parseTimestampParam(req.query.from, 'from'),
+      to: parseTimestampParam(req.query.to, 'to'),
+      orderNumber: req.query.orderNumber ? String(req.query.orderNumber).replace('#', '') : null,
+      shopDomain: normalizeShopDomain(req.query.shop),
+      offset
+    });
+
+    res.json({ orders, limit, offset });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/orders/:id', async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+    res.json({
+      order,
+      shipments: await getOrderShipments(order.id),
+      attempts: await getOrderAttempts(order.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry now: reset the retry budgets, make the order due and wake the
+// worker. Answers 202 straight away; rate limit waits and ShipStation calls
+// happen in the worker, not in this request (409 while it has the order).
+app.post('/api/orders/:id/retry', async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ error: 'Cancelled orders cannot be retried' });
+    }
+    // A held order only leaves review through approve/edit/reject
+    if (order.status === 'needs_review') {
+      return res.status(409).json({ error: `Order is held for review, resolve it with POST /api/orders/${order.id}/review` });
+    }
+
+    if (ordersInFlight.has(order.id)) {
+      return res.status(409).json({ error: 'Order is being processed right now, try again shortly' });
+    }
+
+    await resetOrderForRetry(order.id);
+    processPendingOrders({ rerunIfBusy: true });
+
+    res.status(202).json({ order: await getOrderById(order.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/orders/:id/cancel', async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (order.status !== 'pending' && order.status !== 'needs_review') {
+      return res.status(409).json({ error: `Only pending or held orders can be cancelled (order is ${order.status})` });
+    }
+
+    await cancelOrder(order.id, (req.body && req.body.reason) || 'Cancelled via queue API');
+    res.json({ order: await getOrderById(order.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolve a held order. Body: { "action": "approve" | "recheck" | "edit" | "reject" }
+//   approve: send it as is (for address holds the address checks are skipped)
+//   recheck: the address was fixed in ShipStation, check it again
+//   edit:    send { "note": "..." } instead of the generated note
+//   reject:  cancel the order ({ "reason": "..." } optional)
+const REVIEW_ACTIONS = ['approve', 'recheck', 'edit', 'reject'];
+
+app.post('/api/orders/:id/review', async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    const action = req.body && req.body.action;
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action: expected one of ${REVIEW_ACTIONS.join(', ')}` });
+    }
+    if (order.status !== 'needs_review') {
+      return res.status(409).json({ error: `Order is not waiting for review (order is ${order.status})` });
+    }
+
+    const note = req.body.note;
+    if (action === 'edit' && (typeof note !== 'string' || !note.trim())) {
+      return res.status(400).json({ error: 'edit needs a non-empty note' });
+    }
+
+    if (action === 'reject') {
+      await cancelOrder(order.id, req.body.reason || `Rejected in review by ${req.user}`);
+    } else {
+      const reasons = parseOrderJson(order, 'review_reasons') || [];
+      await resolveReview(order.id, {
+        approveAddress: action === 'approve' && reasons.some(reason => reason.type === 'address'),
+        user: req.user,
+        note: action === 'edit' ? note : null
+      });
+    }
+
+    console.log(`🚩 Review of order ${order.order_number} resolved by ${req.user}: ${action}`);
+    res.json({ order: await getOrderById(order.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a queued order to the front: it gets the bumpPriority of the priority rules
+app.post('/api/orders/:id/bump', async (req, res) => {
+  try {
+    const order = await findOrderOr404(req, res);
+    if (!order) return;
+
+    if (!canBumpPriority(order)) {
+      return res.status(409).json({
+        error: order.priority_bumped_at
+          ? `Order was already bumped by ${order.priority_bumped_by || 'unknown'}`
+          : `Only pending or held orders can be bumped (order is ${order.status})`
+      });
+    }
+
+    await setOrderPriority(order.id, { priority: priorityRules.get().bumpPriority, bumpedBy: req.user });
+    console.log(`⚡ Order ${order.order_number} bumped by ${req.user}`);
+    res.json({ order: await getOrderById(order.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { "from": "2024-05-01T00:00:00Z", "to": "2024-05-01T06:00:00Z" }
+app.post('/api/orders/requeue-failed', async (req, res) => {
+  try {
+    const from = parseTimestampParam(req.body.from, 'from');
+    const to = parseTimestampParam(req.body.to, 'to');
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both from and to are required' });
+    }
+
+    const requeued = await requeueFailedOrders(from, to);
+    console.log(`🔁 Requeued ${requeued} failed orders (${from} → ${to})`);
+    res.json({ requeued });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/reports/production?from=2024-01-01&to=2024-01-07&format=csv
+app.get('/api/reports/production', async (req, res) => {
+  try {
+    const report = await buildProductionReport(parseReportRange(req.query));
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="production-${report.from}-${report.to}.csv"`);
+      return res.send(productionReportToCsv(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HMAC VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function verifyShopifyWebhook(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !rawBody || !secret) return false;
+  
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody, 'utf8')
+    .digest('base64');
+  
+  try {
+    return crypto.timingSafeEqual(
+      Buffer.from(digest, 'utf8'),
+      Buffer.from(hmacHeader, 'utf8')
+    );
+  } catch {
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIG FILES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// JSON config files are validated when loaded and watched for changes. A file
+// that fails validation at startup stops the server; on a hot reload the
+// previous version stays active and the error is logged.
+const CONFIG_DIR = path.join(__dirname, 'config');
+const CONFIG_WATCH_INTERVAL = parseInt(process.env.CONFIG_WATCH_INTERVAL, 10) || 5000;
+
+// relatedFiles(compiled) lists extra files (e.g. templates) whose changes
+// also trigger a reload.
+function createConfigFile(name, filePath, compile, { relatedFiles = () => [] } = {}) {
+  let current = null;
+  let watching = false;
+  const watchedPaths = new Set();
+
+  function load() {
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${name} (${filePath}) is not valid JSON: ${error.message}`);
+    }
+
+    current = compile(parsed);
+    return current;
+  }
+
+  function get() {
+    return current || load();
+  }
+
+  function watchPath(target) {
+    if (watchedPaths.has(target)) return;
+    watchedPaths.add(target);
+
+    fs.watchFile(target, { interval: CONFIG_WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      try {
+        load();
+        watchRelatedFiles();
+        console.log(`🔄 Reloaded ${name} (${target} changed)`);
+      } catch (error) {
+        console.error(`❌ Could not reload ${name}, keeping the previous version: ${error.message}`);
+      }
+    });
+  }
+
+  function watchRelatedFiles() {
+    for (const related of relatedFiles(get())) watchPath(related);
+  }
+
+  function watch() {
+    if (watching) return;
+    watching = true;
+    watchPath(filePath);
+    watchRelatedFiles();
+  }
+
+  return { name, path: filePath, load, get, watch };
+}
+
+// Throw one error listing every problem found while compiling a config file
+function assertNoConfigErrors(name, errors) {
+  if (errors.length === 0) return;
+  throw new Error(`Invalid ${name}:\n  - ${errors.join('\n  - ')}`);
+}
+
+// Keys starting with "//" are comments in the rule files and always allowed
+function assertKnownKeys(object, allowed, where, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key) && !key.startsWith('//')) errors.push(`${where}: unknown key "${key}"`);
+  }
+}
+
+// String patterns used throughout the rule files:
+//   { "match": "equals" | "prefix" | "suffix" | "contains" | "regex",
+//     "value": "...",
+//     "ignoreCase": true,   // default true
+//     "normalize": false,   // compare lowercase letters/digits only ("Free-Gift" → "freegift")
+//     "except": [ ...patterns that veto a match ] }
+const PATTERN_MATCH_TYPES = ['equals', 'prefix', 'suffix', 'contains', 'regex'];
+
+function compilePattern(pattern, where, errors) {
+  const never = () => false;
+
+  if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+    errors.push(`${where}: expected a pattern object`);
+    return never;
+  }
+
+  const { match, value } = pattern;
+
+  if (!PATTERN_MATCH_TYPES.includes(match)) {
+    errors.push(`${where}.match: expected one of ${PATTERN_MATCH_TYPES.join(', ')}`);
+    return never;
+  }
+  if (typeof value !== 'string' || value === '') {
+    errors.push(`${where}.value: expected a non-empty string`);
+    return never;
+  }
+
+  const ignoreCase = pattern.ignoreCase !== false;
+  const normalize = pattern.normalize === true;
+
+  const prepare = (text) => {
+    const str = String(text ?? '');
+    if (normalize) return str.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return ignoreCase ? str.toLowerCase() : str;
+  };
+
+  let test;
+  if (match === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(value, ignoreCase ? 'i' : '');
+    } catch (error) {
+      errors.push(`${where}.value: invalid regex (${error.message})`);
+      return never;
+    }
+    test = text => regex.test(normalize ? prepare(text) : String(text ?? ''));
+  } else {
+    const expected = prepare(value);
+    test = (text) => {
+      const actual = prepare(text);
+      switch (match) {
+        case 'equals': return actual === expected;
+        case 'prefix': return actual.startsWith(expected);
+        case 'suffix': return actual.endsWith(expected);
+        default: return actual.includes(expected);
+      }
+    };
+  }
+
+  if (pattern.except === undefined) return test;
+
+  const isException = compilePatternList(pattern.except, `${where}.except`, errors);
+  return text => test(text) && !isException(text);
+}
+
+// Compile an array of patterns into one test that matches if any pattern does
+function compilePatternList(patterns, where, errors) {
+  if (!Array.isArray(patterns)) {
+    errors.push(`${where}: expected an array of patterns`);
+    return () => false;
+  }
+
+  const tests = patterns.map((pattern, i) => compilePattern(pattern, `${where}[${i}]`, errors));
+  return text => tests.some(test => test(text));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CUSTOMIZATION RULES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Which line item properties are shown, how they are labelled and how tag
+// types are chosen. See config/customization-rules.json for the shipped rules.
+const CUSTOMIZATION_RULES_PATH = process.env.CUSTOMIZATION_RULES_PATH ||
+  path.join(CONFIG_DIR, 'customization-rules.json');
+
+const CUSTOMIZATION_RULE_KEYS = [
+  'hiddenProperties',
+  'renamedProperties',
+  'relabeledValues',
+  'freeGiftProperties',
+  'charmProducts',
+  'placementProperties',
+  'monogramDetectors',
+  'valueCleaners',
+  'tagClassifiers',
+  'defaultTag',
+  'tagRules',
+  'validationRules'
+];
+
+// Line kinds of extractTepoCustomizations that validation rules can target
+const CUSTOMIZATION_LINE_KINDS = ['monogram', 'freeGift', 'property'];
+const VALIDATION_RULE_KEYS = ['kinds', 'properties', 'allowedCharacters', 'maxLength', 'blocklist'];
+
+const TAG_RULE_KEYS = [
+  'tag', 'enabled', 'duoBundle', 'freeGift', 'monogram', 'destinationTypes', 'shippingLine',
+  'itemName', 'propertyName', 'propertyValue'
+];
+
+function compileCustomizationRules(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('customization rules', ['expected a JSON object']);
+  }
+  assertKnownKeys(raw, CUSTOMIZATION_RULE_KEYS, 'customization rules', errors);
+
+  const listOf = (key) => {
+    if (raw[key] === undefined) return [];
+    if (!Array.isArray(raw[key])) {
+      errors.push(`${key}: expected an array`);
+      return [];
+    }
+    return raw[key];
+  };
+
+  const rules = {
+    isHiddenProperty: compilePatternList(listOf('hiddenProperties'), 'hiddenProperties', errors),
+    isFreeGiftProperty: compilePatternList(listOf('freeGiftProperties'), 'freeGiftProperties', errors),
+    isCharmProduct: compilePatternList(listOf('charmProducts'), 'charmProducts', errors),
+    isPlacementProperty: compilePatternList(listOf('placementProperties'), 'placementProperties', errors),
+
+    // { ...pattern on the property name, "to": "New Name" }
+    renamedProperties: listOf('renamedProperties').map((rule, i) => {
+      const where = `renamedProperties[${i}]`;
+      if (typeof rule?.to !== 'string' || !rule.to) errors.push(`${where}.to: expected a non-empty string`);
+      const { to, ...pattern } = rule || {};
+      return { test: compilePattern(pattern, where, errors), to };
+    }),
+
+    // { "property": [patterns], "value": pattern, "to": "Shown Value" }
+    relabeledValues: listOf('relabeledValues').map((rule, i) => {
+      const where = `relabeledValues[${i}]`;
+      assertKnownKeys(rule || {}, ['property', 'value', 'to'], where, errors);
+      if (typeof rule?.to !== 'string') errors.push(`${where}.to: expected a string`);
+      return {
+        property: compilePatternList(rule?.property ?? [], `${where}.property`, errors),
+        value: compilePattern(rule?.value, `${where}.value`, errors),
+        to: rule?.to
+      };
+    }),
+
+    // Products whose matching properties are printed as "<label>: 'X'"
+    monogramDetectors: listOf('monogramDetectors').map((rule, i) => {
+      const where = `monogramDetectors[${i}]`;
+      assertKnownKeys(rule || {}, ['products', 'properties', 'values', 'label', 'uppercase'], where, errors);
+      if (typeof rule?.label !== 'string' || !rule.label) errors.push(`${where}.label: expected a non-empty string`);
+      return {
+        product: compilePatternList(rule?.products ?? [], `${where}.products`, errors),
+        property: compilePatternList(rule?.properties ?? [], `${where}.properties`, errors),
+        value: compilePatternList(rule?.values ?? [], `${where}.values`, errors),
+        label: rule?.label,
+        uppercase: rule?.uppercase === true
+      };
+    }),
+
+    // { "pattern": "regex source", "flags": "gi", "replacement": "" }
+    valueCleaners: listOf('valueCleaners').map((rule, i) => {
+      const where = `valueCleaners[${i}]`;
+      assertKnownKeys(rule || {}, ['pattern', 'flags', 'replacement'], where, errors);
+      try {
+        return { regex: new RegExp(rule.pattern, rule.flags ?? 'g'), replacement: rule.replacement ?? '' };
+      } catch (error) {
+        errors.push(`${where}.pattern: invalid regex (${error.message})`);
+        return null;
+      }
+    }).filter(Boolean),
+
+    // First classifier with a match on any customized line item wins
+    tagClassifiers: listOf('tagClassifiers').map((rule, i) => {
+      const where = `tagClassifiers[${i}]`;
+      assertKnownKeys(rule || {}, ['tag', 'itemName', 'propertyName', 'propertyValue'], where, errors);
+      if (typeof rule?.tag !== 'string' || !rule.tag) errors.push(`${where}.tag: expected a non-empty string`);
+      if (!rule?.itemName && !rule?.propertyName && !rule?.propertyValue) {
+        errors.push(`${where}: needs at least one of itemName, propertyName, propertyValue`);
+      }
+      return {
+        tag: rule?.tag,
+        itemName: compilePatternList(rule?.itemName ?? [], `${where}.itemName`, errors),
+        propertyName: compilePatternList(rule?.propertyName ?? [], `${where}.propertyName`, errors),
+        propertyValue: compilePatternList(rule?.propertyValue ?? [], `${where}.propertyValue`, errors)
+      };
+    }),
+
+    defaultTag: raw.defaultTag,
+
+    // Extra ShipStation tags. Every rule whose conditions all hold adds its
+    // tag; a rule with no conditions tags every order. "enabled": false rules
+    // are left out: orders wait in pending while one of their tags is missing
+    // in ShipStation, so a rule is only enabled once its tag exists there (or
+    // with SHIPSTATION_CREATE_MISSING_TAGS=true).
+    tagRules: listOf('tagRules').map((rule, i) => {
+      const where = `tagRules[${i}]`;
+      assertKnownKeys(rule || {}, TAG_RULE_KEYS, where, errors);
+      if (typeof rule?.tag !== 'string' || !rule.tag) errors.push(`${where}.tag: expected a non-empty string`);
+      for (const flag of ['enabled', 'duoBundle', 'freeGift', 'monogram']) {
+        if (rule?.[flag] !== undefined && typeof rule[flag] !== 'boolean') errors.push(`${where}.${flag}: expected true or false`);
+      }
+      const destinationTypes = rule?.destinationTypes;
+      if (destinationTypes !== undefined && (!Array.isArray(destinationTypes) ||
+        destinationTypes.some(type => !['US', 'CANADA', 'INTERNATIONAL'].includes(type)))) {
+        errors.push(`${where}.destinationTypes: expected an array of US, CANADA, INTERNATIONAL`);
+      }
+      const optionalPatterns = (key) => rule?.[key] === undefined
+        ? null
+        : compilePatternList(rule[key], `${where}.${key}`, errors);
+      return {
+        tag: rule?.tag,
+        enabled: rule?.enabled !== false,
+        duoBundle: rule?.duoBundle,
+        freeGift: rule?.freeGift,
+        monogram: rule?.monogram,
+        destinationTypes: Array.isArray(destinationTypes) ? destinationTypes : null,
+        shippingLine: optionalPatterns('shippingLine'),
+        itemName: optionalPatterns('itemName'),
+        propertyName: optionalPatterns('propertyName'),
+        propertyValue: optionalPatterns('propertyValue')
+      };
+    }).filter(rule => rule.enabled)
+  };
+
+  // { "kinds": ["monogram"], "properties": [patterns], "allowedCharacters": "A-Z",
+  //   "maxLength": 1, "blocklist": [patterns] } — allowedCharacters is the
+  // inside of a regex character class (Unicode mode, so \\p{L} works).
+  // Without properties the rule checks every property of its kinds.
+  rules.validationRules = listOf('validationRules').map((rule, i) => {
+    const where = `validationRules[${i}]`;
+    assertKnownKeys(rule || {}, VALIDATION_RULE_KEYS, where, errors);
+
+    const kinds = rule?.kinds ?? CUSTOMIZATION_LINE_KINDS;
+    if (!Array.isArray(kinds) || kinds.length === 0 || kinds.some(kind => !CUSTOMIZATION_LINE_KINDS.includes(kind))) {
+      errors.push(`${where}.kinds: expected a non-empty array of ${CUSTOMIZATION_LINE_KINDS.join(', ')}`);
+    }
+
+    let disallowed = null;
+    if (rule?.allowedCharacters !== undefined) {
+      try {
+        if (typeof rule.allowedCharacters !== 'string' || !rule.allowedCharacters) throw new Error('expected a non-empty string');
+        disallowed = new RegExp(`[^${rule.allowedCharacters}]`, 'gu');
+      } catch (error) {
+        errors.push(`${where}.allowedCharacters: ${error.message}`);
+      }
+    }
+
+    if (rule?.maxLength !== undefined && !(Number.isInteger(rule.maxLength) && rule.maxLength > 0)) {
+      errors.push(`${where}.maxLength: expected a positive integer`);
+    }
+
+    return {
+      kinds: Array.isArray(kinds) ? kinds : [],
+      property: rule?.properties === undefined ? () => true : compilePatternList(rule.properties, `${where}.properties`, errors),
+      disallowed,
+      maxLength: rule?.maxLength ?? null,
+      isBlocked: compilePatternList(rule?.blocklist ?? [], `${where}.blocklist`, errors)
+    };
+  });
+
+  if (typeof rules.defaultTag !== 'string' || !rules.defaultTag) {
+    errors.push('defaultTag: expected a non-empty string');
+  }
+
+  assertNoConfigErrors('customization rules', errors);
+  return rules;
+}
+
+const customizationRules = createConfigFile(
+  'customization rules',
+  CUSTOMIZATION_RULES_PATH,
+  compileCustomizationRules
+);
+
+function getCustomizationRules() {
+  return customizationRules.get();
+}
+
+function isFreeGiftPropertyName(name = '') {
+  return getCustomizationRules().isFreeGiftProperty(name);
+}
+
+function isCharmProductName(name = '') {
+  return getCustomizationRules().isCharmProduct(name);
+}
+
+function isPlacementPropertyName(name = '') {
+  return getCustomizationRules().isPlacementProperty(name);
+}
+
+function isHiddenPropertyName(name = '') {
+  return getCustomizationRules().isHiddenProperty(name);
+}
+
+// Run the configured value cleaners (e.g. strip "(150mm x 200mm)")
+function cleanPropertyValue(value) {
+  let cleaned = String(value ?? '');
+  for (const cleaner of getCustomizationRules().valueCleaners) {
+    cleaned = cleaned.replace(cleaner.regex, cleaner.replacement);
+  }
+  return cleaned.trim();
+}
+
+function displayPropertyName(name) {
+  const rule = getCustomizationRules().renamedProperties.find(r => r.test(name));
+  return rule ? rule.to : name;
+}
+
+function displayPropertyValue(name, value) {
+  const rule = getCustomizationRules().relabeledValues.find(r => r.property(name) && r.value(value));
+  return rule ? rule.to : value;
+}
+
+// Monogram detectors that apply to a product
+function getMonogramDetectors(productName) {
+  return getCustomizationRules().monogramDetectors.filter(detector => detector.product(productName));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTE LAYOUTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Notes are rendered from Mustache templates. config/note-layouts.json names
+// the layouts (template paths are relative to this directory), the default
+// layout and rules choosing a layout by tag type and/or destination type.
+// Templates get { orderNumber, tagType, destinationType, hasCharms,
+// hasDuoAndTepo, duo: { pairs, hasCharms }, tepo: { items, hasCharms } } —
+// see extractDuoCustomizations and extractTepoCustomizations for the shapes.
+const NOTE_LAYOUTS_PATH = process.env.NOTE_LAYOUTS_PATH ||
+  path.join(CONFIG_DIR, 'note-layouts.json');
+
+const NOTE_LAYOUT_RULE_KEYS = ['tagType', 'destinationType', 'layout'];
+
+function compileNoteLayouts(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('note layouts', ['expected a JSON object']);
+  }
+  assertKnownKeys(raw, ['layouts', 'defaultLayout', 'rules'], 'note layouts', errors);
+
+  const templates = {};
+  const files = [];
+
+  if (!raw.layouts || typeof raw.layouts !== 'object' || Array.isArray(raw.layouts)) {
+    errors.push('layouts: expected an object of layout name → template path');
+  } else {
+    for (const [layoutName, templatePath] of Object.entries(raw.layouts)) {
+      const file = path.resolve(__dirname, String(templatePath));
+      files.push(file);
+
+      try {
+        templates[layoutName] = fs.readFileSync(file, 'utf8');
+        Mustache.parse(templates[layoutName]);
+      } catch (error) {
+        errors.push(`layouts.${layoutName}: ${error.message}`);
+      }
+    }
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(templates, raw.defaultLayout)) {
+    errors.push(`defaultLayout: "${raw.defaultLayout}" is not one of the layouts`);
+  }
+
+  const rules = Array.isArray(raw.rules ?? []) ? (raw.rules ?? []) : [];
+  if (!Array.isArray(raw.rules ?? [])) errors.push('rules: expected an array');
+
+  rules.forEach((rule, i) => {
+    assertKnownKeys(rule || {}, NOTE_LAYOUT_RULE_KEYS, `rules[${i}]`, errors);
+    if (!Object.prototype.hasOwnProperty.call(templates, rule?.layout)) {
+      errors.push(`rules[${i}].layout: "${rule?.layout}" is not one of the layouts`);
+    }
+  });
+
+  assertNoConfigErrors('note layouts', errors);
+  return { templates, files, defaultLayout: raw.defaultLayout, rules };
+}
+
+const noteLayouts = createConfigFile('note layouts', NOTE_LAYOUTS_PATH, compileNoteLayouts, {
+  relatedFiles: compiled => compiled.files
+});
+
+function getNoteLayoutNames() {
+  return Object.keys(noteLayouts.get().templates);
+}
+
+// First rule whose tagType/destinationType (when given) both match wins
+function selectNoteLayout({ tagType, destinationType }) {
+  const { rules, defaultLayout } = noteLayouts.get();
+  const rule = rules.find(r =>
+    (!r.tagType || r.tagType === tagType) &&
+    (!r.destinationType || r.destinationType === destinationType)
+  );
+  return rule ? rule.layout : defaultLayout;
+}
+
+// Render the note for extracted duo/tepo sections. Notes are plain text, so
+// Mustache's HTML escaping is turned off.
+function renderCustomizationNote({ duo = null, tepo = null }, layout = null, context = {}) {
+  const { templates, defaultLayout } = noteLayouts.get();
+  const layoutName = layout || defaultLayout;
+
+  if (!Object.prototype.hasOwnProperty.call(templates, layoutName)) {
+    const error = new Error(`Unknown note layout "${layoutName}"`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const view = {
+    orderNumber: null,
+    tagType: null,
+    destinationType: null,
+    ...context,
+    duo,
+    tepo,
+    hasDuoAndTepo: Boolean(duo && tepo),
+    hasCharms: Boolean(duo?.hasCharms || tepo?.hasCharms)
+  };
+
+  return Mustache.render(templates[layoutName], view, {}, { escape: value => value });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEPO FORMATTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Pull the customer-facing customizations out of regular (tepo/qikify) line
+// items. Each property becomes a line with its kind ('freeGift', 'monogram'
+// or 'property'), structured fields and the default "text" used by the
+// shipped templates.
+function extractTepoCustomizations(lineItems = []) {
+    const items = [];
+    let hasCharms = false;  // Track if any charms are present for the signature line
+  
+    for (const item of lineItems) {
+      if (!item.properties || item.properties.length === 0) continue;
+  
+      // Filter out internal/hidden properties (see hiddenProperties in the rules)
+      const cleanProps = item.properties.filter(prop => !isHiddenPropertyName(String(prop.name || '')));
+  
+      if (cleanProps.length === 0) continue;
+  
+      // ══════════════════════════════════════════════════════════════════════
+      // FIX #1: Just use item.name - it already includes variant info from Shopify
+      // The webhook payload's item.name is typically "Product Title - Variant Title"
+      // ══════════════════════════════════════════════════════════════════════
+      const productName = item.name || item.title || 'Unknown Product';
+      
+      // Check if this item is a charm (for tracking signature line need)
+      const isCharmItem = isCharmProductName(productName);
+      if (isCharmItem) hasCharms = true;
+  
+      // ══════════════════════════════════════════════════════════════════════
+      // FIX #2: Handle monogram properties specially
+      // Monogram products (see monogramDetectors in the rules) print their
+      // letter properties as e.g. "Ribbon one monogram: 'X'"
+      // ══════════════════════════════════════════════════════════════════════
+      const monogramDetectors = getMonogramDetectors(productName);
+      const lines = [];
+  
+      for (const prop of cleanProps) {
+        const propName = String(prop.name || '');
+        
+        // Remove measurement parentheticals like "(150mm x 200mm)"
+        const value = cleanPropertyValue(prop.value);
+
+        if (!value) continue;
+
+        const monogram = monogramDetectors.find(detector =>
+          detector.property(propName) || detector.value(value)
+        );
+
+        if (isFreeGiftPropertyName(propName)) {
+          lines.push({ kind: 'freeGift', isFreeGift: true, property: propName, label: 'Free Gift', value });
+        // Special handling for monogram letters on ribbon charms
+        } else if (monogram) {
+          const letter = monogram.uppercase ? value.toUpperCase() : value;
+          lines.push({ kind: 'monogram', isMonogram: true, property: propName, label: monogram.label, value: letter });
+        } else {
+          // Standard formatting for other properties
+          lines.push({
+            kind: 'property',
+            isProperty: true,
+            property: propName,
+            label: displayPropertyName(propName),
+            value: displayPropertyValue(propName, value)
+          });
+        }
+      }
+
+      for (const line of lines) {
+        line.text = line.isMonogram ? `${line.label}: '${line.value}'` : `${line.label}: ${line.value}`;
+      }
+
+      items.push({
+        name: productName,
+        sku: item.sku || null,
+        quantity: item.quantity || 1,
+        isCharm: isCharmItem,
+        lines
+      });
+    }
+  
+    // ══════════════════════════════════════════════════════════════════════
+    // FIX #3: The signature line is rendered by the template when hasCharms
+    // ══════════════════════════════════════════════════════════════════════
+    return items.length > 0 ? { items, hasCharms } : null;
+  }
+
+function formatTepoCustomizations(lineItems = [], layout = null) {
+  const tepo = extractTepoCustomizations(lineItems);
+  return tepo ? renderCustomizationNote({ tepo }, layout) : '';
+}
+
+// Check the customer-typed tepo lines against the validationRules. Duo
+// bundles are left out, their free gifts come from a fixed list. Returns
+// review reasons ({ type, code, message }), empty when everything passes.
+function validateCustomizations(tepo) {
+  const reasons = [];
+
+  for (const item of tepo?.items || []) {
+    for (const line of item.lines) {
+      const where = `${item.name}, ${line.label} "${line.value}"`;
+
+      for (const rule of getCustomizationRules().validationRules) {
+        if (!rule.kinds.includes(line.kind) || !rule.property(line.property)) continue;
+
+        const disallowed = rule.disallowed ? [...new Set(line.value.match(rule.disallowed) || [])] : [];
+        if (disallowed.length > 0) {
+          reasons.push({
+            type: 'customization',
+            code: 'disallowed_characters',
+            message: `${where}: characters not allowed (${disallowed.join(' ')})`
+          });
+        }
+        if (rule.maxLength && [...line.value].length > rule.maxLength) {
+          reasons.push({
+            type: 'customization',
+            code: 'too_long',
+            message: `${where}: over the ${rule.maxLength}-character limit`
+          });
+        }
+        if (rule.isBlocked(line.value)) {
+          reasons.push({ type: 'customization', code: 'blocked', message: `${where}: contains a blocked word` });
+        }
+      }
+    }
+  }
+
+  // Overlapping rules can flag the same problem twice
+  return reasons.filter((reason, i) => reasons.findIndex(r => r.message === reason.message) === i);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUO BUNDLE FORMATTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function isDuoItem(item) {
+  if (!item.properties || item.properties.length === 0) return false;
+  return item.properties.some(prop => {
+    const name = String(prop.name || '');
+    const value = String(prop.value || '');
+    return (name === '_bundle' && value === 'Duo Bundle') || (name === '_duo_accessory' && value === 'true');
+  });
+}
+
+function isDuoAccessory(item) {
+  if (!item.properties || item.properties.length === 0) return false;
+  return item.properties.some(prop => String(prop.name || '') === '_duo_accessory' && String(prop.value || '') === 'true');
+}
+
+const BOOK_ORDINALS = ['One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten'];
+
+// Properties the bundle app writes on an accessory naming its book. The value
+// is the book's variant id or line item id.
+const DUO_PARENT_PROPERTIES = ['_parent', '_parent_id', '_parent_variant_id'];
+
+function getBookLabel(index) {
+  return `Book ${BOOK_ORDINALS[index] || index + 1}`;
+}
+
+function getDuoParentRef(item) {
+  const prop = (item.properties || []).find(p =>
+    DUO_PARENT_PROPERTIES.includes(String(p.name || '')) && String(p.value || '').trim() !== ''
+  );
+  return prop ? String(prop.value).trim() : null;
+}
+
+// The book an accessory belongs to. Books whose variant id or line item id
+// match the accessory's parent property are candidates (all books when there
+// is no parent property or nothing matches); of those, the nearest book
+// before the accessory in line order wins, else the first one.
+function findAccessoryBook(books, accessory) {
+  const parentRef = getDuoParentRef(accessory.item);
+  const matched = parentRef
+    ? books.filter(book => [book.item.variant_id, book.item.id].some(id => id != null && String(id) === parentRef))
+    : [];
+  const candidates = matched.length > 0 ? matched : books;
+  const preceding = candidates.filter(book => book.position < accessory.position);
+
+  return {
+    book: preceding.length > 0 ? preceding[preceding.length - 1] : candidates[0],
+    matchedBy: matched.length > 0 ? 'parent' : 'line_order'
+  };
+}
+
+// Group duo bundle items into pairs of books with their free gifts and
+// accessories, each accessory nested under its book (see findAccessoryBook).
+// Accessories are only listed on the pair itself when it has no books.
+// Pairs with nothing to note are left out.
+function extractDuoCustomizations(duoItems = []) {
+  if (duoItems.length === 0) return null;
+
+  // Separate books from accessories, group by Duo Pair, keeping line order
+  const pairs = {};
+  duoItems.forEach((item, position) => {
+    const pairProp = (item.properties || []).find(p => String(p.name) === 'Duo Pair');
+    const pairLabel = pairProp ? String(pairProp.value) : 'Duo';
+    if (!pairs[pairLabel]) pairs[pairLabel] = { books: [], accessories: [] };
+
+    const entry = { item, position };
+    if (isDuoAccessory(item)) {
+      pairs[pairLabel].accessories.push(entry);
+    } else {
+      pairs[pairLabel].books.push(entry);
+    }
+  });
+
+  const extracted = [];
+  let hasCharms = false;
+
+  for (const [pairLabel, pair] of Object.entries(pairs)) {
+    // Check if this pair has any accessories or free gifts worth noting
+    const hasFreeGifts = pair.books.some(({ item: book }) =>
+      (book.properties || []).some(p => isFreeGiftPropertyName(String(p.name || '')))
+    );
+
+    if (pair.accessories.length === 0 && !hasFreeGifts) continue;
+
+    const books = pair.books.map(({ item: book }, i) => ({
+      label: getBookLabel(i),
+      name: book.name || book.title || 'Unknown',
+      sku: book.sku || null,
+      variantId: book.variant_id || null,
+      // Free gifts on this book
+      freeGifts: (book.properties || [])
+        .filter(prop => isFreeGiftPropertyName(String(prop.name || '')))
+        .map(prop => String(prop.value || '')),
+      accessories: []
+    }));
+
+    const unassigned = [];
+    for (const accessory of pair.accessories) {
+      const accName = accessory.item.name || accessory.item.title || 'Accessory';
+      const isCharm = isCharmProductName(accName);
+      if (isCharm) hasCharms = true;
+      const extractedAccessory = {
+        name: accName,
+        sku: accessory.item.sku || null,
+        quantity: accessory.item.quantity || 1,
+        isCharm
+      };
+
+      if (pair.books.length === 0) {
+        unassigned.push(extractedAccessory);
+        continue;
+      }
+
+      const { book, matchedBy } = findAccessoryBook(pair.books, accessory);
+      books[pair.books.indexOf(book)].accessories.push({ ...extractedAccessory, matchedBy });
+    }
+
+    extracted.push({ label: pairLabel, books, accessories: unassigned });
+  }
+
+  return extracted.length > 0 ? { pairs: extracted, hasCharms } : null;
+}
+
+function formatDuoCustomizations(duoItems = [], layout = null) {
+  const duo = extractDuoCustomizations(duoItems);
+  return duo ? renderCustomizationNote({ duo }, layout) : '';
+}
+
+function determineTagType(lineItems = []) {
+  const rules = getCustomizationRules();
+  const customizedItems = lineItems.filter(item => item.properties && item.properties.length > 0);
+
+  for (const classifier of rules.tagClassifiers) {
+    const matches = customizedItems.some(item =>
+      classifier.itemName(item.name || '') ||
+      item.properties.some(prop =>
+        classifier.propertyName(prop.name || '') || classifier.propertyValue(prop.value || '')
+      )
+    );
+
+    if (matches) return classifier.tag;
+  }
+
+  return rules.defaultTag;
+}
+
+// Facts about an order that tag rules can test
+function getOrderTagFacts(order, { duo, tepo, destinationType }) {
+  const tepoLines = (tepo?.items || []).flatMap(item => item.lines);
+
+  return {
+    duoBundle: Boolean(duo),
+    freeGift: (duo?.pairs || []).some(pair => pair.books.some(book => book.freeGifts.length > 0)) ||
+      tepoLines.some(line => line.isFreeGift),
+    monogram: tepoLines.some(line => line.isMonogram),
+    destinationType,
+    shippingLines: (order.shipping_lines || []).flatMap(line => [line.title, line.code]).filter(Boolean),
+    lineItems: (order.line_items || []).filter(item => item.properties && item.properties.length > 0)
+  };
+}
+
+function tagRuleMatches(rule, facts) {
+  for (const flag of ['duoBundle', 'freeGift', 'monogram']) {
+    if (rule[flag] !== undefined && rule[flag] !== facts[flag]) return false;
+  }
+  if (rule.destinationTypes && !rule.destinationTypes.includes(facts.destinationType)) return false;
+  if (rule.shippingLine && !facts.shippingLines.some(line => rule.shippingLine(line))) return false;
+
+  if (rule.itemName || rule.propertyName || rule.propertyValue) {
+    const itemMatches = facts.lineItems.some(item =>
+      (rule.itemName && rule.itemName(item.name || '')) ||
+      item.properties.some(prop =>
+        (rule.propertyName && rule.propertyName(prop.name || '')) ||
+        (rule.propertyValue && rule.propertyValue(prop.value || ''))
+      )
+    );
+    if (!itemMatches) return false;
+  }
+
+  return true;
+}
+
+// The tag type first, then every matching tag rule's tag (no duplicates)
+function determineOrderTags(order, { tagType, duo, tepo, destinationType }) {
+  const facts = getOrderTagFacts(order, { duo, tepo, destinationType });
+  const tags = [tagType];
+
+  for (const rule of getCustomizationRules().tagRules) {
+    if (!tags.includes(rule.tag) && tagRuleMatches(rule, facts)) tags.push(rule.tag);
+  }
+
+  return tags;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WEBHOOK HANDLER
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Structured duo + tepo customizations of a Shopify order payload (see
+// extractDuoCustomizations and extractTepoCustomizations for the shapes)
+function extractOrderCustomizations(order) {
+  // Separate duo bundle items from regular (tepo/qikify) items
+  const allItems = order.line_items || [];
+  const duoItems = allItems.filter(isDuoItem);
+  const regularItems = allItems.filter(item => !isDuoItem(item));
+
+  return {
+    duo: extractDuoCustomizations(duoItems),
+    tepo: extractTepoCustomizations(regularItems),
+    duoItems,
+    regularItems
+  };
+}
+
+// Build the combined duo + tepo note, tag type, tags and validation review
+// reasons for a Shopify order payload. Returns an empty note when the order
+// has nothing to customize. The layout comes from the note layout rules
+// unless one is passed in.
+function buildCustomizationNote(order, { layout = null } = {}) {
+  const allItems = order.line_items || [];
+  const { duo, tepo, duoItems, regularItems } = extractOrderCustomizations(order);
+
+  const tagType = determineTagType(allItems);
+  const destinationType = getDestinationType(shopifyAddressToShipTo(order.shipping_address));
+  const layoutName = layout || selectNoteLayout({ tagType, destinationType });
+  const tags = determineOrderTags(order, { tagType, duo, tepo, destinationType });
+
+  // Duo section first, then tepo section, single header (see the templates)
+  const formattedNote = duo || tepo
+    ? renderCustomizationNote({ duo, tepo }, layoutName, {
+      orderNumber: order.name ? String(order.name).replace('#', '') : null,
+      tagType,
+      destinationType
+    })
+    : '';
+
+  return {
+    formattedNote,
+    tagType,
+    tags,
+    destinationType,
+    layout: layoutName,
+    reviewReasons: validateCustomizations(tepo),
+    priority: determinePriority(order, tags),
+    duoCount: duoItems.length,
+    regularCount: regularItems.length
+  };
+}
+
+async function handleWebhook(req, res) {
+  try {
+    const hmac = req.get('X-Shopify-Hmac-Sha256');
+    const topic = req.get('X-Shopify-Topic') || 'orders/create';
+    const shop = req.get('X-Shopify-Shop-Domain') || 'unknown';
+    const webhookId = req.get('X-Shopify-Webhook-Id') || null;
+    
+    console.log(`\n${'═'.repeat(80)}`);
+    console.log(`📨 Webhook: ${topic} from ${shop}`);
+    console.log(`${'═'.repeat(80)}`);
+
+    const rawBody = req.body instanceof Buffer ? req.body.toString('utf8') : '';
+    
+    const shopConfig = getShopConfig(shop);
+
+    if (!verifyShopifyWebhook(rawBody, hmac, getShopWebhookSecret(shopConfig))) {
+      console.warn(`❌ HMAC verification failed (secret from ${shopConfig.webhookSecretEnv})`);
+      return res.status(401).send('Unauthorized');
+    }
+    
+    console.log('✅ HMAC verified');
+
+    const order = JSON.parse(rawBody);
+    console.log(`📦 Order: ${order.name} (ID: ${order.id})`);
+
+    const payloadId = await savePayload({
+      webhookId,
+      topic,
+      shopDomain: shop,
+      shopifyOrderId: order.id,
+      rawBody
+    });
+
+    if (!payloadId) {
+      console.log(`ℹ️  Webhook ${webhookId} already received, skipping duplicate delivery`);
+      return res.status(200).send('OK');
+    }
+
+    console.log(`🗄️  Payload archived (ID: ${payloadId})`);
+
+        // ============ ADD THIS DEBUG SECTION ============
+    // Debug: Log the first line item with customizations to see field structure
+    const itemWithProps = order.line_items?.find(item => 
+      item.properties && item.properties.length > 0
+    );
+    
+    if (itemWithProps) {
+      console.log('\n🔍 DEBUG - Line item with customizations:');
+      console.log('  name:', itemWithProps.name);
+      console.log('  title:', itemWithProps.title);
+      console.log('  variant_title:', itemWithProps.variant_title);
+      console.log('  sku:', itemWithProps.sku);
+      // This will help you see if name includes the full title + variant
+    }
+
+    const context = { payloadId, shopDomain: normalizeShopDomain(req.get('X-Shopify-Shop-Domain')) };
+
+    if (topic === 'orders/cancelled') {
+      await handleOrderCancelled(order);
+    } else if (topic === 'orders/updated') {
+      await handleOrderUpdated(order, context);
+    } else {
+      await handleOrderCreated(order, context);
+    }
+
+    res.status(200).send('OK');
+    console.log('✅ Sent 200 OK to Shopify\n');
+
+  } catch (error) {
+    console.error('💥 Webhook error:', error.message);
+    if (!res.headersSent) res.status(200).send('OK');
+  }
+}
+
+async function handleOrderCreated(order, { payloadId = null, shopDomain = null } = {}) {
+  const { formattedNote, tagType, tags, reviewReasons, priority, duoCount, regularCount } = buildCustomizationNote(order);
+
+  if (!formattedNote) {
+    console.log('ℹ️  No customizations found, skipping');
+    return;
+  }
+
+  console.log(`✨ Formatted customizations (duo: ${duoCount} items, tepo: ${regularCount} items)`);
+  console.log(`🏷️  Tag type: ${tagType} (tags: ${tags.join(', ')})`);
+  if (priority.rule) console.log(`⚡ Priority ${priority.priority} (${priority.rule})`);
+
+  await addOrder(
+    order.id,
+    order.name.replace('#', ''),
+    formattedNote,
+    tagType,
+    payloadId,
+    shopDomain,
+    tags,
+    reviewReasons,
+    priority
+  );
+
+  if (reviewReasons.length > 0) {
+    console.log(`🚩 Order held for review: ${reviewReasons.map(reason => reason.message).join('; ')}`);
+  } else {
+    console.log('💾 Order queued for processing');
+  }
+}
+
+async function handleOrderUpdated(order, context = {}) {
+  // Shopify sends orders/updated for cancellations too; treat them the same way
+  if (order.cancelled_at) {
+    await handleOrderCancelled(order);
+    return;
+  }
+
+  const existing = await getOrderByShopifyId(order.id);
+
+  if (!existing) {
+    // Customizations may have been added after the order was created
+    await handleOrderCreated(order, context);
+    return;
+  }
+
+  if (existing.status === 'cancelled') {
+    console.log(`ℹ️  Order ${existing.order_number} was cancelled, ignoring update`);
+    return;
+  }
+
+  const { formattedNote, tagType, tags, reviewReasons, priority } = buildCustomizationNote(order);
+
+  if (!formattedNote) {
+    // Held rows too: approving one later would push customizations the
+    // customer removed
+    if (existing.status === 'pending' || existing.status === 'needs_review') {
+      await cancelOrder(existing.id, 'Customizations removed from order');
+      console.log(`🚫 Customizations removed, cancelled queued order ${existing.order_number}`);
+    } else {
+      console.log('ℹ️  No customizations found, skipping');
+    }
+    return;
+  }
+
+  // A shipping upgrade or new tags can change the priority without touching the note
+  if (!existing.priority_bumped_at && priority.priority !== existing.priority) {
+    await setOrderPriority(existing.id, priority);
+    console.log(`⚡ Priority of order ${existing.order_number}: ${existing.priority} → ${priority.priority}`);
+  }
+
+  if (existing.formatted_note === formattedNote && existing.tag_type === tagType &&
+    sameTags(getOrderTags(existing), tags) && !customizationReviewChanged(existing, reviewReasons)) {
+    console.log(`ℹ️  Customizations unchanged for order ${existing.order_number}`);
+    return;
+  }
+
+  // A note edited in review is kept until the customer's customizations change
+  if (existing.note_edited_at && formattedNote === await buildStoredNote(existing)) {
+    console.log(`ℹ️  Customizations unchanged for order ${existing.order_number}, keeping the edited note`);
+    return;
+  }
+
+  await requeueOrder(existing.id, formattedNote, tagType, context.payloadId, tags, reviewReasons, priority);
+
+  if (reviewReasons.length > 0) {
+    console.log(`🚩 Updated order ${existing.order_number} held for review: ${reviewReasons.map(reason => reason.message).join('; ')}`);
+  } else if (existing.status === 'pending') {
+    console.log(`🔁 Updated queued note for order ${existing.order_number}`);
+  } else {
+    console.log(`🔁 Order ${existing.order_number} was ${existing.status}, re-queued to push the new note to ShipStation`);
+  }
+}
+
+// The note built from the payload an order row was last queued with
+async function buildStoredNote(order) {
+  const payload = order.payload_id ? await getPayload(order.payload_id) : null;
+  if (!payload) return null;
+
+  try {
+    return buildCustomizationNote(JSON.parse(payload.raw_body)).formattedNote;
+  } catch {
+    return null;
+  }
+}
+
+async function handleOrderCancelled(order) {
+  const existing = await getOrderByShopifyId(order.id);
+
+  if (!existing) {
+    console.log('ℹ️  Cancelled order was never queued, nothing to do');
+    return;
+  }
+
+  await cancelOrder(existing.id, order.cancel_reason || 'cancelled');
+
+  if (['pending', 'failed', 'needs_review'].includes(existing.status)) {
+    console.log(`🚫 Order ${existing.order_number} cancelled (${order.cancel_reason || 'no reason given'})`);
+  } else {
+    console.warn(`⚠️  Order ${existing.order_number} was cancelled after reaching ShipStation (status: ${existing.status})`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPROCESSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Everything the webhook + worker would decide for a Shopify order, computed
+// from the payload alone. The worker uses ShipStation's shipTo instead, which
+// normally mirrors the Shopify shipping address.
+function previewOrder(order, { layout = null, shopDomain = null } = {}) {
+  const { formattedNote, tagType, tags, layout: layoutName, reviewReasons, priority, duoCount, regularCount } = buildCustomizationNote(order, { layout });
+  const shipTo = shopifyAddressToShipTo(order.shipping_address);
+  const destinationType = getDestinationType(shipTo);
+  const carrierFacts = getShopifyCarrierFacts(order, tags);
+
+  return {
+    orderNumber: order.name ? String(order.name).replace('#', '') : null,
+    formattedNote,
+    tagType,
+    tags,
+    layout: layoutName,
+    duoCount,
+    regularCount,
+    shipTo,
+    destinationType,
+    shop: getShopConfig(shopDomain).name,
+    // Non-empty: the webhook would hold the order for review
+    validation: reviewReasons,
+    priority,
+    addressRisks: carrierFacts.addressRisks,
+    // null: the worker would hold the order for review
+    carrier: selectCarrier(carrierFacts, getShopConfig(shopDomain))
+  };
+}
+
+// Accepts "1001, #1002" or ['1001', 1002] and returns bare order numbers
+function normalizeOrderNumbers(input) {
+  if (!input) return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list
+    .map(value => String(value).trim().replace('#', ''))
+    .filter(Boolean);
+}
+
+// Line diff of two notes ("  " unchanged, "- " removed, "+ " added)
+function diffLines(oldText = '', newText = '') {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+  return lines.join('\n');
+}
+
+// Re-run buildCustomizationNote over the stored Shopify payload of each
+// matching order and report what changed. With requeue, changed orders get
+// the new note and go back to pending so the worker pushes it to ShipStation.
+async function reprocessOrders({ from = null, to = null, orderNumbers = [], requeue = false } = {}) {
+  if (!from && !to && orderNumbers.length === 0) {
+    const error = new Error('Provide a date range (from/to) or a list of order numbers');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const orders = await getOrdersForReprocess({ from, to, orderNumbers });
+  const results = [];
+
+  for (const order of orders) {
+    const result = {
+      id: order.id,
+      orderNumber: order.order_number,
+      status: order.status,
+      changed: false,
+      requeued: false
+    };
+    results.push(result);
+
+    const payload = await getPayload(order.payload_id);
+    if (!payload) {
+      result.error = `Payload ${order.payload_id} not found`;
+      continue;
+    }
+
+    let shopifyOrder;
+    try {
+      shopifyOrder = JSON.parse(payload.raw_body);
+    } catch (error) {
+      result.error = `Payload ${order.payload_id} is not valid JSON`;
+      continue;
+    }
+
+    const { formattedNote, tagType, tags, reviewReasons, priority } = buildCustomizationNote(shopifyOrder);
+
+    result.oldTagType = order.tag_type;
+    result.newTagType = tagType;
+    result.oldTags = getOrderTags(order);
+    result.newTags = tags;
+    result.changed = formattedNote !== order.formatted_note || tagType !== order.tag_type ||
+      !sameTags(result.oldTags, tags);
+    result.diff = result.changed ? diffLines(order.formatted_note, formattedNote) : '';
+
+    if (!formattedNote) {
+      result.error = 'No customizations found with the current formatter';
+      continue;
+    }
+
+    // Bumped orders keep their priority; others follow the current rules
+    if (!order.priority_bumped_at && priority.priority !== order.priority) {
+      result.oldPriority = order.priority;
+      result.newPriority = priority.priority;
+      if (requeue) await setOrderPriority(order.id, priority);
+    }
+
+    if (order.note_edited_at) {
+      result.error = 'Note was edited in review, left as is';
+      continue;
+    }
+
+    if (requeue && result.changed) {
+      await requeueOrder(order.id, formattedNote, tagType, null, tags, reviewReasons, priority);
+      result.requeued = true;
+      result.held = reviewReasons.length > 0;
+    }
+  }
+
+  return results;
+}
+
+// CLI: node server.js reprocess [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--orders 1001,1002] [--requeue]
+async function runReprocessCommand(args) {
+  const options = { from: null, to: null, orderNumbers: [], requeue: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--orders':
+        options.orderNumbers = normalizeOrderNumbers(args[++i]);
+        break;
+      case '--requeue':
+        options.requeue = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  await initDatabase();
+
+  try {
+    const results = await reprocessOrders(options);
+
+    for (const result of results) {
+      console.log(`\n${'─'.repeat(80)}`);
+      console.log(`📦 Order ${result.orderNumber} (DB ID: ${result.id}, ${result.status})`);
+
+      if (result.error) console.warn(`  ⚠️  ${result.error}`);
+      if (result.newPriority !== undefined) {
+        console.log(`  ⚡ Priority: ${result.oldPriority} → ${result.newPriority}${options.requeue ? '' : ' (not saved without --requeue)'}`);
+      }
+
+      if (!result.changed) {
+        console.log('  ✅ Unchanged');
+        continue;
+      }
+
+      if (result.oldTagType !== result.newTagType) {
+        console.log(`  🏷️  Tag type: ${result.oldTagType} → ${result.newTagType}`);
+      }
+      if (!sameTags(result.oldTags, result.newTags)) {
+        console.log(`  🏷️  Tags: ${result.oldTags.join(', ')} → ${result.newTags.join(', ')}`);
+      }
+      console.log(result.diff);
+      if (result.held) console.log('  🚩 Held for review: validation failed');
+      else if (result.requeued) console.log('  🔁 Re-queued for ShipStation');
+    }
+
+    const changed = results.filter(r => r.changed).length;
+    const requeued = results.filter(r => r.requeued).length;
+    console.log(`\n📊 ${results.length} orders checked, ${changed} changed, ${requeued} re-queued`);
+    if (changed > requeued && !options.requeue) {
+      console.log('ℹ️  Run again with --requeue to push the changed notes to ShipStation');
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORK SHEETS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Printable sheets for the customization station, one per order, built from
+// the stored Shopify payload with the same duo/tepo extraction as the note.
+// Orders without a usable payload, and notes edited in review, fall back to
+// the lines of the stored note.
+const WORK_SHEET_DEFAULT_TAG = 'charm';
+const WORK_SHEET_DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const WORK_SHEET_BATCH_LIMIT = 500;
+
+// Server-side twin of PST_TIME_SCRIPT's formatPST, for the PDF
+function formatPstTimestamp(sqliteTimestamp) {
+  if (!sqliteTimestamp) return '—';
+  const date = new Date(String(sqliteTimestamp).replace(' ', 'T') + 'Z');
+  return date.toLocaleString('en-US', {
+    timeZone: 'America/Los_Angeles',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+// Charm products an order needs, for sorting the batch by charm
+function getWorkSheetCharms({ duo, tepo }) {
+  const names = [
+    ...(duo?.pairs || []).flatMap(pair => [
+      ...pair.books.flatMap(book => book.accessories),
+      ...pair.accessories
+    ]),
+    ...(tepo?.items || [])
+  ].filter(item => item.isCharm).map(item => item.name);
+
+  return [...new Set(names)].sort();
+}
+
+async function buildWorkSheet(order) {
+  const payload = order.payload_id && !order.note_edited_at ? await getPayload(order.payload_id) : null;
+  let customizations = null;
+
+  if (payload) {
+    try {
+      customizations = extractOrderCustomizations(JSON.parse(payload.raw_body));
+    } catch (error) {
+      console.warn(`⚠️  Payload ${order.payload_id} of order ${order.order_number} is not valid JSON`);
+    }
+  }
+
+  const duo = customizations?.duo || null;
+  const tepo = customizations?.tepo || null;
+
+  return {
+    id: order.id,
+    orderNumber: order.order_number,
+    status: order.status,
+    shop: order.shop_domain ? getShopConfig(order.shop_domain).name : null,
+    createdAt: order.created_at,
+    tags: getOrderTags(order),
+    duo,
+    tepo,
+    // Only set when there is nothing structured to print
+    noteLines: duo || tepo
+      ? null
+      : order.formatted_note.split('\n').filter(line => line.trim() && !line.startsWith('CUSTOMIZATIONS')),
+    hasCharms: Boolean(duo?.hasCharms || tepo?.hasCharms),
+    charms: getWorkSheetCharms({ duo, tepo })
+  };
+}
+
+// Production line order: sheets grouped by the charms they need (orders
+// without charms last), oldest first within a group
+function sortWorkSheets(sheets) {
+  return [...sheets].sort((a, b) =>
+    (a.charms.length === 0) - (b.charms.length === 0) ||
+    a.charms.join(', ').localeCompare(b.charms.join(', ')) ||
+    String(a.createdAt).localeCompare(String(b.createdAt)) ||
+    String(a.orderNumber).localeCompare(String(b.orderNumber), undefined, { numeric: true })
+  );
+}
+
+// Tag and created_at window of a batch from the query string; the window
+// defaults to the last 24 hours
+function parseWorkSheetBatchQuery(query) {
+  const now = Date.now();
+  const to = parseTimestampParam(query.to, 'to') || toSqliteTimestamp(new Date(now));
+  const from = parseTimestampParam(query.from, 'from') ||
+    toSqliteTimestamp(new Date(now - WORK_SHEET_DEFAULT_WINDOW_MS));
+
+  if (from > to) {
+    const error = new Error('Invalid window: from is after to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    tag: String(query.tag || WORK_SHEET_DEFAULT_TAG).trim(),
+    from,
+    to,
+    shopDomain: normalizeShopDomain(query.shop)
+  };
+}
+
+async function getWorkSheetBatch(query) {
+  const batch = parseWorkSheetBatchQuery(query);
+  const orders = await getOrdersForWorkSheets({ ...batch, limit: WORK_SHEET_BATCH_LIMIT });
+  const sheets = [];
+
+  for (const order of orders) {
+    sheets.push(await buildWorkSheet(order));
+  }
+
+  return { ...batch, sheets: sortWorkSheets(sheets), truncated: orders.length === WORK_SHEET_BATCH_LIMIT };
+}
+
+function renderWorkSheetHtml(sheet) {
+  const box = text => `<li><span class="box">☐</span> ${escapeHtml(text)}</li>`;
+
+  const duoHtml = (sheet.duo?.pairs || []).map(pair => `
+    <h3>Duo Bundle (${escapeHtml(pair.label)})</h3>
+    ${pair.books.map(book => `
+      <h4>${escapeHtml(book.label)} — ${escapeHtml(book.name)}</h4>
+      <ul>
+        ${book.freeGifts.map(gift => box(`Free Gift: ${gift}`)).join('')}
+        ${book.accessories.map(accessory => box(accessory.name)).join('')}
+      </ul>
+    `).join('')}
+    ${pair.accessories.length > 0 ? `<ul>${pair.accessories.map(accessory => box(accessory.name)).join('')}</ul>` : ''}
+  `).join('');
+
+  const tepoHtml = (sheet.tepo?.items || []).map(item => `
+    <h3>${escapeHtml(item.name)}${item.quantity > 1 ? ` × ${escapeHtml(item.quantity)}` : ''}</h3>
+    <ul>${item.lines.map(line => box(line.text)).join('')}</ul>
+  `).join('');
+
+  return `
+  <section class="sheet">
+    <h2>Order #${escapeHtml(sheet.orderNumber)}</h2>
+    <p class="meta">
+      ${sheet.shop ? `${escapeHtml(sheet.shop)} • ` : ''}Created ${formatTimeCell(sheet.createdAt)} • ${escapeHtml(sheet.tags.join(', '))}
+    </p>
+    ${duoHtml}
+    ${tepoHtml}
+    ${sheet.noteLines ? `<ul>${sheet.noteLines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+    ${sheet.hasCharms ? '<p class="signature">Charm(s) handplaced by: ____________________________</p>' : ''}
+  </section>`;
+}
+
+function renderWorkSheetsPage({ title, sheets, controls = '' }) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 20px;
+      color: #111827;
+    }
+    .controls {
+      background: #f3f4f6;
+      padding: 15px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+    }
+    .sheet {
+      border-bottom: 2px dashed #d1d5db;
+      padding-bottom: 20px;
+      margin-bottom: 20px;
+    }
+    .sheet h2 { margin-bottom: 4px; }
+    .meta { color: #4b5563; margin-top: 0; }
+    h4 { margin: 12px 0 4px; }
+    ul { list-style: none; padding-left: 10px; }
+    li { font-size: 16px; margin: 6px 0; }
+    .box { font-size: 20px; }
+    .signature { margin-top: 30px; font-weight: bold; }
+    @media print {
+      .controls { display: none; }
+      .sheet { border: none; page-break-after: always; }
+    }
+  </style>
+</head>
+<body>
+  ${controls}
+  ${sheets.length > 0 ? sheets.map(renderWorkSheetHtml).join('') : '<p>No orders to print.</p>'}
+  ${PST_TIME_SCRIPT}
+</body>
+</html>`;
+}
+
+// One page per sheet. Checkboxes are drawn, the default PDF fonts have no ☐.
+function sendWorkSheetsPdf(res, sheets, filename) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, autoFirstPage: false });
+  const left = 50;
+
+  const heading = (text, size, indent = 0) => {
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).text(text, left + indent);
+  };
+  const checkbox = (text, indent = 0) => {
+    const y = doc.y + 4;
+    doc.rect(left + indent, y + 1, 10, 10).stroke();
+    doc.font('Helvetica').fontSize(12).text(text, left + indent + 16, y);
+  };
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  for (const sheet of sheets) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(20).text(`Order #${sheet.orderNumber}`, left);
+    doc.font('Helvetica').fontSize(10).fillColor('#4b5563')
+      .text([sheet.shop, `Created ${formatPstTimestamp(sheet.createdAt)} PST`, sheet.tags.join(', ')].filter(Boolean).join(' • '), left)
+      .fillColor('black');
+
+    for (const pair of sheet.duo?.pairs || []) {
+      heading(`Duo Bundle (${pair.label})`, 14);
+      for (const book of pair.books) {
+        heading(`${book.label} — ${book.name}`, 12, 10);
+        book.freeGifts.forEach(gift => checkbox(`Free Gift: ${gift}`, 20));
+        book.accessories.forEach(accessory => checkbox(accessory.name, 20));
+      }
+      pair.accessories.forEach(accessory => checkbox(accessory.name, 10));
+    }
+
+    for (const item of sheet.tepo?.items || []) {
+      heading(item.quantity > 1 ? `${item.name} × ${item.quantity}` : item.name, 14);
+      item.lines.forEach(line => checkbox(line.text, 10));
+    }
+
+    if (sheet.noteLines) {
+      doc.moveDown().font('Helvetica').fontSize(12);
+      sheet.noteLines.forEach(line => doc.text(line, left));
+    }
+
+    if (sheet.hasCharms) {
+      doc.moveDown(2).font('Helvetica-Bold').fontSize(12)
+        .text('Charm(s) handplaced by: ____________________________', left);
+    }
+  }
+
+  if (sheets.length === 0) {
+    doc.addPage().font('Helvetica').fontSize(12).text('No orders to print.');
+  }
+
+  doc.end();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRODUCTION REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+// What the customization station has to make: charm products, monogram
+// letters, ribbon placements (see placementProperties in the rules) and free
+// gifts counted from the stored payloads of the orders created in a date
+// range, per day and in total. Days are PST like the dashboard. Cancelled
+// orders and orders without a stored payload are not counted.
+const REPORT_TIME_ZONE = 'America/Los_Angeles';
+const REPORT_MAX_DAYS = 93;
+const REPORT_CATEGORIES = ['charms', 'monogramLetters', 'placements', 'freeGifts'];
+
+// YYYY-MM-DD in the report time zone
+function getReportDay(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: REPORT_TIME_ZONE });
+}
+
+function shiftDay(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Inclusive YYYY-MM-DD range, defaulting to today
+function parseReportRange(query) {
+  const today = getReportDay(new Date());
+  const from = query.from ? String(query.from) : (query.to ? String(query.to) : today);
+  const to = query.to ? String(query.to) : from;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      const error = new Error(`Invalid ${name}: expected YYYY-MM-DD`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  if (from > to) {
+    const error = new Error('Invalid range: from is after to');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (shiftDay(from, REPORT_MAX_DAYS) <= to) {
+    const error = new Error(`Invalid range: at most ${REPORT_MAX_DAYS} days`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { from, to };
+}
+
+function emptyProductionCounts() {
+  return { orders: 0, charms: {}, monogramLetters: {}, placements: {}, freeGifts: {} };
+}
+
+function addProductionCount(counts, category, key, quantity) {
+  counts[category][key] = (counts[category][key] || 0) + quantity;
+}
+
+function addOrderToProductionCounts(counts, { duo, tepo }) {
+  counts.orders++;
+
+  for (const item of tepo?.items || []) {
+    if (item.isCharm) addProductionCount(counts, 'charms', item.name, item.quantity);
+
+    for (const line of item.lines) {
+      if (line.isMonogram) addProductionCount(counts, 'monogramLetters', line.value, item.quantity);
+      if (line.isFreeGift) addProductionCount(counts, 'freeGifts', line.value, item.quantity);
+      if (line.isProperty && isPlacementPropertyName(line.property)) {
+        addProductionCount(counts, 'placements', line.value, item.quantity);
+      }
+    }
+  }
+
+  for (const pair of duo?.pairs || []) {
+    for (const book of pair.books) {
+      book.freeGifts.forEach(gift => addProductionCount(counts, 'freeGifts', gift, 1));
+    }
+
+    const accessories = [...pair.books.flatMap(book => book.accessories), ...pair.accessories];
+    for (const accessory of accessories.filter(a => a.isCharm)) {
+      addProductionCount(counts, 'charms', accessory.name, accessory.quantity);
+    }
+  }
+}
+
+// { orders, charms: [{ name, count }], ... } sorted by count, then name
+function summarizeProductionCounts(counts) {
+  const summary = { orders: counts.orders };
+  for (const category of REPORT_CATEGORIES) {
+    summary[category] = Object.entries(counts[category])
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+  return summary;
+}
+
+async function buildProductionReport({ from, to }) {
+  // Stored timestamps are UTC, so fetch a day either side and bucket by PST day
+  const orders = await getOrdersForReprocess({ from: shiftDay(from, -1), to: shiftDay(to, 1) });
+  const days = new Map();
+  const total = emptyProductionCounts();
+
+  for (let day = from; day <= to; day = shiftDay(day, 1)) {
+    days.set(day, emptyProductionCounts());
+  }
+
+  for (const order of orders) {
+    const day = getReportDay(new Date(String(order.created_at).replace(' ', 'T') + 'Z'));
+    if (!days.has(day)) continue;
+
+    const payload = await getPayload(order.payload_id);
+    let customizations;
+    try {
+      customizations = extractOrderCustomizations(JSON.parse(payload.raw_body));
+    } catch (error) {
+      console.warn(`⚠️  Skipping order ${order.order_number} in production report: ${error.message}`);
+      continue;
+    }
+
+    addOrderToProductionCounts(days.get(day), customizations);
+    addOrderToProductionCounts(total, customizations);
+  }
+
+  return {
+    from,
+    to,
+    timeZone: REPORT_TIME_ZONE,
+    days: [...days].map(([date, counts]) => ({ date, ...summarizeProductionCounts(counts) })),
+    total: summarizeProductionCounts(total)
+  };
+}
+
+// Quote when needed; a leading =, +, - or @ is defused so spreadsheets
+// don't run customer-entered values as formulas
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per day, category and item, then the totals with date "total"
+function productionReportToCsv(report) {
+  const rows = [['date', 'category', 'item', 'count']];
+
+  for (const { date, ...summary } of [...report.days, { date: 'total', ...report.total }]) {
+    rows.push([date, 'orders', '', summary.orders]);
+    for (const category of REPORT_CATEGORIES) {
+      summary[category].forEach(({ name, count }) => rows.push([date, category, name, count]));
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARCEL SELECTION CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Carrier settings by destination
+const CARRIER_SETTINGS = {
+  US: { carrierCode: 'ups', serviceCode: 'ups_worldwide_expedited' },
+  CANADA: { carrierCode: 'ups', serviceCode: 'ups_standard' },
+  INTERNATIONAL: { carrierCode: 'ups', serviceCode: 'ups_worldwide_expedited' }
+};
+
+// Helper: Get destination type (US, CANADA, or INTERNATIONAL)
+function getDestinationType(shipTo) {
+  if (!shipTo || !shipTo.country) return 'US'; // Default to US
+  const country = shipTo.country.toUpperCase();
+
+  if (country === 'US' || country === 'USA') {
+    return 'US';
+  } else if (country === 'CA' || country === 'CAN' || country === 'CANADA') {
+    return 'CANADA';
+  } else {
+    return 'INTERNATIONAL';
+  }
+}
+
+// Helper: Map a Shopify address to ShipStation's shipTo shape
+function shopifyAddressToShipTo(address) {
+  if (!address) return {};
+  return {
+    name: address.name || null,
+    street1: address.address1 || null,
+    street2: address.address2 || null,
+    city: address.city || null,
+    state: address.province_code || address.province || null,
+    postalCode: address.zip || null,
+    country: address.country_code || address.country || null
+  };
+}
+
+// Helper: Convert ShipStation weight to kilograms
+function getWeightInKg(weight) {
+  if (!weight || weight.value === undefined || weight.value === null) return 0;
+
+  const units = (weight.units || '').toLowerCase();
+  const value = weight.value;
+
+  switch (units) {
+    case 'ounces':
+    case 'oz':
+      return value * 0.0283495;
+    case 'pounds':
+    case 'lbs':
+    case 'lb':
+      return value * 0.453592;
+    case 'grams':
+    case 'g':
+      return value / 1000;
+    case 'kilograms':
+    case 'kg':
+    default:
+      return value;
+  }
+}
+
+// config/boxes.json is the box catalog. With "enabled": true the first box
+// (in file order, so list them smallest first) that fits the order's weight,
+// item count and volume is set as the ShipStation packageCode/dimensions;
+// with "enabled": false ShipStation's automation rules pick the package.
+//
+//   "boxes": [{ "name": "BoxMaster 2\"", "packageCode": "package",
+//               "length": 25.4, "width": 17.78, "height": 5, "units": "centimeters",
+//               "maxWeightKg": 1.5, "maxItems": 2, "maxVolume": 4 }],
+//   "itemVolumes": [{ "sku": [{ "match": "prefix", "value": "DUO-" }], "volume": 2 }],
+//   "defaultItemVolume": 1
+//
+// maxWeightKg is exclusive; a missing limit means "no limit". Volume is in
+// whatever unit the catalog uses consistently, per unit of quantity.
+const BOXES_PATH = process.env.BOXES_PATH || path.join(CONFIG_DIR, 'boxes.json');
+
+const BOX_KEYS = ['name', 'packageCode', 'length', 'width', 'height', 'units', 'maxWeightKg', 'maxItems', 'maxVolume'];
+const DIMENSION_UNITS = ['inches', 'centimeters'];
+
+function compileBoxes(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('box catalog', ['expected a JSON object']);
+  }
+  assertKnownKeys(raw, ['enabled', 'boxes', 'itemVolumes', 'defaultItemVolume'], 'box catalog', errors);
+
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') errors.push('enabled: expected true or false');
+  if (!Array.isArray(raw.boxes)) assertNoConfigErrors('box catalog', ['boxes: expected an array']);
+  if (raw.enabled && raw.boxes.length === 0) errors.push('boxes: at least one box is needed when enabled');
+
+  const positive = (value, where, { optional = true } = {}) => {
+    if (value === undefined && optional) return null;
+    if (typeof value !== 'number' || !(value > 0)) {
+      errors.push(`${where}: expected a positive number`);
+      return null;
+    }
+    return value;
+  };
+
+  const boxes = raw.boxes.map((box, i) => {
+    const where = `boxes[${i}]`;
+    assertKnownKeys(box || {}, BOX_KEYS, where, errors);
+    if (typeof box?.name !== 'string' || !box.name) errors.push(`${where}.name: expected a non-empty string`);
+    if (typeof box?.packageCode !== 'string' || !box.packageCode) errors.push(`${where}.packageCode: expected a ShipStation package code`);
+    const units = box?.units ?? 'centimeters';
+    if (!DIMENSION_UNITS.includes(units)) errors.push(`${where}.units: expected ${DIMENSION_UNITS.join(' or ')}`);
+
+    return {
+      name: box?.name,
+      packageCode: box?.packageCode,
+      dimensions: {
+        length: positive(box?.length, `${where}.length`, { optional: false }),
+        width: positive(box?.width, `${where}.width`, { optional: false }),
+        height: positive(box?.height, `${where}.height`, { optional: false }),
+        units
+      },
+      maxWeightKg: positive(box?.maxWeightKg, `${where}.maxWeightKg`),
+      maxItems: positive(box?.maxItems, `${where}.maxItems`),
+      maxVolume: positive(box?.maxVolume, `${where}.maxVolume`)
+    };
+  });
+
+  if (!Array.isArray(raw.itemVolumes ?? [])) errors.push('itemVolumes: expected an array');
+  const itemVolumes = (Array.isArray(raw.itemVolumes) ? raw.itemVolumes : []).map((rule, i) => {
+    const where = `itemVolumes[${i}]`;
+    assertKnownKeys(rule || {}, ['sku', 'volume'], where, errors);
+    return {
+      sku: compilePatternList(rule?.sku ?? [], `${where}.sku`, errors),
+      volume: positive(rule?.volume, `${where}.volume`, { optional: false })
+    };
+  });
+
+  const defaultItemVolume = raw.defaultItemVolume ?? 1;
+  if (typeof defaultItemVolume !== 'number' || defaultItemVolume < 0) {
+    errors.push('defaultItemVolume: expected a number >= 0');
+  }
+
+  assertNoConfigErrors('box catalog', errors);
+  return { enabled: raw.enabled === true, boxes, itemVolumes, defaultItemVolume };
+}
+
+const boxCatalog = createConfigFile('box catalog', BOXES_PATH, compileBoxes);
+
+// Item count and volume of a ShipStation order (adjustment lines excluded)
+function getShipStationItemStats(items = []) {
+  const { itemVolumes, defaultItemVolume } = boxCatalog.get();
+  let itemCount = 0;
+  let volume = 0;
+
+  for (const item of items) {
+    if (item.adjustment) continue;
+    const quantity = Number(item.quantity) || 0;
+    const rule = itemVolumes.find(candidate => candidate.sku(item.sku || ''));
+    itemCount += quantity;
+    volume += quantity * (rule ? rule.volume : defaultItemVolume);
+  }
+
+  return { itemCount, volume };
+}
+
+// The first catalog box that fits, or the last (largest) one when nothing
+// does. Returns null when parcel selection is turned off.
+function selectBox({ weightKg, itemCount, volume }) {
+  const { enabled, boxes } = boxCatalog.get();
+  if (!enabled) return null;
+
+  const fits = box =>
+    (box.maxWeightKg === null || weightKg < box.maxWeightKg) &&
+    (box.maxItems === null || itemCount <= box.maxItems) &&
+    (box.maxVolume === null || volume <= box.maxVolume);
+
+  const box = boxes.find(fits);
+  const chosen = box || boxes[boxes.length - 1];
+
+  return {
+    name: chosen.name,
+    packageCode: chosen.packageCode,
+    dimensions: chosen.dimensions,
+    weightKg: Number(weightKg.toFixed(3)),
+    itemCount,
+    volume,
+    oversize: !box
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHOP REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// config/shops.json maps each Shopify shop domain to its webhook secret,
+// ShipStation account and overrides. Secrets are never stored in the file,
+// only the names of the env vars holding them:
+//
+//   "wholesale.myshopify.com": {
+//     "name": "Wholesale",
+//     "webhookSecretEnv": "WHOLESALE_WEBHOOK_SECRET",
+//     "shipstation": { "apiKeyEnv": "...", "apiSecretEnv": "...", "storeId": 12345 },
+//     "carrierSettings": { "CANADA": { "carrierCode": "ups", "serviceCode": "ups_standard" } },
+//     "tags": { "charm": "Wholesale Charm" },
+//     "noteField": "internalNotes"
+//   }
+//
+// Shops that are not listed (and rows queued before the registry existed)
+// use the SHOPIFY_WEBHOOK_SECRET / SHIPSTATION_API_* / NOTE_FIELD env vars.
+const SHOPS_PATH = process.env.SHOPS_PATH || path.join(CONFIG_DIR, 'shops.json');
+
+const SHOP_KEYS = ['name', 'webhookSecretEnv', 'shipstation', 'carrierSettings', 'tags', 'noteField'];
+const SHOP_SHIPSTATION_KEYS = ['apiKeyEnv', 'apiSecretEnv', 'storeId'];
+
+function normalizeShopDomain(domain) {
+  return domain ? String(domain).trim().toLowerCase() : null;
+}
+
+function compileShops(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('shop registry', ['expected a JSON object']);
+  }
+  assertKnownKeys(raw, ['shops'], 'shop registry', errors);
+
+  const shops = new Map();
+  const rawShops = raw.shops ?? {};
+
+  if (!rawShops || typeof rawShops !== 'object' || Array.isArray(rawShops)) {
+    assertNoConfigErrors('shop registry', ['shops: expected an object keyed by shop domain']);
+  }
+
+  for (const [domain, entry] of Object.entries(rawShops)) {
+    const where = `shops["${domain}"]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where}: expected an object`);
+      continue;
+    }
+    assertKnownKeys(entry, SHOP_KEYS, where, errors);
+
+    const shipstation = entry.shipstation || {};
+    assertKnownKeys(shipstation, SHOP_SHIPSTATION_KEYS, `${where}.shipstation`, errors);
+
+    for (const [key, value] of [
+      ['webhookSecretEnv', entry.webhookSecretEnv],
+      ['shipstation.apiKeyEnv', shipstation.apiKeyEnv],
+      ['shipstation.apiSecretEnv', shipstation.apiSecretEnv]
+    ]) {
+      if (typeof value !== 'string' || !value) errors.push(`${where}.${key}: expected an env var name`);
+    }
+
+    for (const [destType, settings] of Object.entries(entry.carrierSettings || {})) {
+      if (!Object.prototype.hasOwnProperty.call(CARRIER_SETTINGS, destType)) {
+        errors.push(`${where}.carrierSettings.${destType}: expected one of ${Object.keys(CARRIER_SETTINGS).join(', ')}`);
+      } else if (!settings?.carrierCode || !settings?.serviceCode) {
+        errors.push(`${where}.carrierSettings.${destType}: needs carrierCode and serviceCode`);
+      }
+    }
+
+    const noteFieldError = entry.noteField === undefined ? null : getNoteFieldError(entry.noteField);
+    if (noteFieldError) errors.push(`${where}.noteField: ${noteFieldError}`);
+
+    shops.set(normalizeShopDomain(domain), {
+      domain: normalizeShopDomain(domain),
+      name: entry.name || domain,
+      webhookSecretEnv: entry.webhookSecretEnv,
+      shipstation: {
+        apiKeyEnv: shipstation.apiKeyEnv,
+        apiSecretEnv: shipstation.apiSecretEnv,
+        storeId: shipstation.storeId ?? null
+      },
+      carrierSettings: { ...CARRIER_SETTINGS, ...(entry.carrierSettings || {}) },
+      tags: entry.tags || {},
+      noteField: entry.noteField || DEFAULT_SHOP.noteField
+    });
   }
-});
 
-// Webhook endpoint
-app.post('/webhooks/shopify/orders/create',
-  express.raw({ type: 'application/json' }),
-  handleWebhook
-);
+  assertNoConfigErrors('shop registry', errors);
+  return { shops };
+}
 
-app.use(express.json());
+const shopRegistry = createConfigFile('shop registry', SHOPS_PATH, compileShops);
 
-// ═══════════════════════════════════════════════════════════════════════════
-// HMAC VERIFICATION
-// ═══════════════════════════════════════════════════════════════════════════
+// Fallback for unlisted shops and rows without a shop
+const DEFAULT_SHOP = {
+  domain: null,
+  name: 'Default',
+  webhookSecretEnv: 'SHOPIFY_WEBHOOK_SECRET',
+  shipstation: {
+    apiKeyEnv: 'SHIPSTATION_API_KEY',
+    apiSecretEnv: 'SHIPSTATION_API_SECRET',
+    storeId: process.env.SHIPSTATION_STORE_ID ? Number(process.env.SHIPSTATION_STORE_ID) : null
+  },
+  carrierSettings: CARRIER_SETTINGS,
+  tags: {},
+  noteField: process.env.NOTE_FIELD || 'giftMessage'
+};
 
-function verifyShopifyWebhook(rawBody, hmacHeader) {
-  if (!hmacHeader || !rawBody) return false;
-  
-  const digest = crypto
-    .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET)
-    .update(rawBody, 'utf8')
-    .digest('base64');
-  
-  try {
-    return crypto.timingSafeEqual(
-      Buffer.from(digest, 'utf8'),
-      Buffer.from(hmacHeader, 'utf8')
-    );
-  } catch {
-    return false;
+function getShopConfig(domain) {
+  return shopRegistry.get().shops.get(normalizeShopDomain(domain)) || DEFAULT_SHOP;
+}
+
+function getRegisteredShops() {
+  return [...shopRegistry.get().shops.values()];
+}
+
+function getShopWebhookSecret(shop) {
+  return process.env[shop.webhookSecretEnv];
+}
+
+function getShopCredentials(shop) {
+  return {
+    username: process.env[shop.shipstation.apiKeyEnv],
+    password: process.env[shop.shipstation.apiSecretEnv]
+  };
+}
+
+// ShipStation tag name for one of our tag types
+function getShopTagName(shop, tagType) {
+  return shop.tags[tagType] || tagType;
+}
+
+// Env vars referenced by the default shop and the registry that are unset
+function getMissingShopEnvVars() {
+  const names = new Set();
+  for (const shop of [DEFAULT_SHOP, ...getRegisteredShops()]) {
+    names.add(shop.webhookSecretEnv);
+    names.add(shop.shipstation.apiKeyEnv);
+    names.add(shop.shipstation.apiSecretEnv);
   }
+  return [...names].filter(name => !process.env[name]);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// TEPO FORMATTER
+// ADDRESS CHECKS
 // ═══════════════════════════════════════════════════════════════════════════
 
-// ═══════════════════════════════════════════════════════════════════════════
-// TEPO FORMATTER
-// ═══════════════════════════════════════════════════════════════════════════
+// Ship-to problems UPS (our default carrier) can't handle or that usually mean
+// a typo. An order with any of these only ships through a carrier rule whose
+// "addressRisks" covers every risk found; otherwise it goes to needs_review.
+const ADDRESS_RISKS = {
+  po_box: 'PO box address',
+  military: 'APO/FPO/DPO military address',
+  missing_postal_code: 'Postal code is missing',
+  missing_state: 'State/province is missing',
+  state_country_mismatch: 'State/province does not match the country'
+};
 
-function isFreeGiftPropertyName(name = '') {
-  const normalized = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
-  return normalized.includes('freegift');
-}
+const PO_BOX_PATTERN = /\b(?:p\.?\s*o\.?\s*box|post\s+office\s+box|pobox)\b/i;
+const MILITARY_CITY_PATTERN = /^\s*(?:apo|fpo|dpo)\s*$/i;
+const MILITARY_STATES = ['AA', 'AE', 'AP'];
 
-function formatTepoCustomizations(lineItems = []) {
-    let formatted = 'CUSTOMIZATIONS:\n\n';
-    let hasAny = false;
-    let hasCharms = false;  // Track if any charms are present for the signature line
-  
-    for (const item of lineItems) {
-      if (!item.properties || item.properties.length === 0) continue;
-  
-      // Filter out internal/hidden properties (ones starting with _ or containing system keys)
-      const cleanProps = item.properties.filter((prop) => {
-        const name = String(prop.name || '');
-        return (!name.startsWith('_') || isFreeGiftPropertyName(name)) &&
-               !name.includes('optionSetId') &&
-               !name.includes('hc_default') &&
-               !name.includes('copy');
-      });
-  
-      if (cleanProps.length === 0) continue;
-      hasAny = true;
-  
-      // ══════════════════════════════════════════════════════════════════════
-      // FIX #1: Just use item.name - it already includes variant info from Shopify
-      // The webhook payload's item.name is typically "Product Title - Variant Title"
-      // ══════════════════════════════════════════════════════════════════════
-      const productName = item.name || item.title || 'Unknown Product';
-      
-      // Check if this item is a charm (for tracking signature line need)
-      const isCharmItem = productName.toLowerCase().includes('charm');
-      if (isCharmItem) hasCharms = true;
-  
-      formatted += `${productName}\n`;
-  
-      // ══════════════════════════════════════════════════════════════════════
-      // FIX #2: Handle monogram properties specially
-      // Look for monogram-related properties and format as "Ribbon one monogram: 'X'"
-      // ══════════════════════════════════════════════════════════════════════
-      
-      // First, check if any properties indicate this is a monogram charm
-      const monogramProp = cleanProps.find((prop) => {
-        const name = String(prop.name || '').toLowerCase();
-        const value = String(prop.value || '').toLowerCase();
-        // Look for properties like "Monogram Letter", "Letter", "Initial", etc.
-        return name.includes('monogram') || 
-               name.includes('letter') || 
-               name.includes('initial') ||
-               // Also check if it's a single character value (likely a monogram letter)
-               (value.length === 1 && /^[a-z]$/i.test(value));
-      });
-  
-      // Check if this is a ribbon/monogram charm item
-      const isMonogramCharm = productName.toLowerCase().includes('monogram') || 
-                              productName.toLowerCase().includes('ribbon');
-  
-      for (const prop of cleanProps) {
-        const propName = String(prop.name || '');
-        const propNameLower = propName.toLowerCase();
-        let value = String(prop.value ?? '');
-        
-        // Remove measurement parentheticals like "(150mm x 200mm)"
-        value = value.replace(/\([^)]*\d+\.?\d*\s*mm[^)]*\)/gi, '').trim();
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'AS', 'GU', 'MP', 'PR', 'VI', 'UM', 'FM', 'MH', 'PW', ...MILITARY_STATES
+];
+const CANADA_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
 
-        if (!value) continue;
+// Countries where an empty postal code is normal
+const COUNTRIES_WITHOUT_POSTAL_CODES = ['AE', 'AG', 'AO', 'BS', 'BZ', 'HK', 'IE', 'JM', 'MO', 'PA', 'QA', 'TT'];
 
-        if (isFreeGiftPropertyName(propName)) {
-          formatted += `☐ Free Gift: ${value}\n`;
-        // Special handling for monogram letters on ribbon charms
-        } else if (isMonogramCharm && 
-            (propNameLower.includes('monogram') || 
-             propNameLower.includes('letter') || 
-             propNameLower.includes('initial') ||
-             (value.length === 1 && /^[a-z]$/i.test(value)))) {
-          // Format as "Ribbon one monogram: 'M'"
-          formatted += `☐ Ribbon one monogram: '${value.toUpperCase()}'\n`;
-        } else {
-          // Standard formatting for other properties
-          formatted += `☐ ${propName}: ${value}\n`;
-        }
-      }
-      formatted += '\n';
-    }
-  
-    // ══════════════════════════════════════════════════════════════════════
-    // FIX #3: Add signature line at the bottom if there are any charms
-    // ══════════════════════════════════════════════════════════════════════
-    if (hasAny && hasCharms) {
-      formatted += '════════════════════════════════════════\n';
-      formatted += 'Charm(s) handplaced by: ____________________________\n';
+// [{ code, message }] for a ShipStation-style shipTo
+function detectAddressRisks(shipTo = {}) {
+  const risks = [];
+  const add = code => risks.push({ code, message: ADDRESS_RISKS[code] });
+
+  const streets = [shipTo.street1, shipTo.street2, shipTo.street3].filter(Boolean);
+  const country = String(shipTo.country || '').trim().toUpperCase();
+  const state = String(shipTo.state || '').trim().toUpperCase();
+  const destinationType = getDestinationType(shipTo);
+
+  if (streets.some(street => PO_BOX_PATTERN.test(street))) add('po_box');
+
+  if (MILITARY_CITY_PATTERN.test(shipTo.city || '') || (destinationType === 'US' && MILITARY_STATES.includes(state))) {
+    add('military');
+  }
+
+  if (!String(shipTo.postalCode || '').trim() && !COUNTRIES_WITHOUT_POSTAL_CODES.includes(country)) {
+    add('missing_postal_code');
+  }
+
+  // Only US and Canadian addresses are checked; other countries' region
+  // codes are too varied to validate here. Without a country there is
+  // nothing to compare the state against.
+  if (country && ['US', 'CANADA'].includes(destinationType)) {
+    if (!state) {
+      add('missing_state');
+    } else if (
+      (destinationType === 'US' && !US_STATES.includes(state)) ||
+      (destinationType === 'CANADA' && !CANADA_PROVINCES.includes(state))
+    ) {
+      add('state_country_mismatch');
     }
-  
-    return hasAny ? formatted : '';
   }
 
+  return risks;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
-// DUO BUNDLE FORMATTER
+// CARRIER RULES
 // ═══════════════════════════════════════════════════════════════════════════
 
-function isDuoItem(item) {
-  if (!item.properties || item.properties.length === 0) return false;
-  return item.properties.some(prop => {
-    const name = String(prop.name || '');
-    const value = String(prop.value || '');
-    return (name === '_bundle' && value === 'Duo Bundle') || (name === '_duo_accessory' && value === 'true');
+// config/carrier-rules.json picks the carrier, service and delivery
+// confirmation per order. The first rule whose "when" conditions all hold
+// wins; orders no rule matches use the shop's carrierSettings by destination.
+//
+//   {
+//     "name": "Paid rush → next day air",
+//     "when": {
+//       "countries": ["US"],                 // ISO codes from shipTo.country
+//       "states": ["CA", "OR"],              // shipTo.state
+//       "destinationTypes": ["US"],          // US, CANADA, INTERNATIONAL
+//       "minWeightKg": 0, "maxWeightKg": 2,  // min inclusive, max exclusive
+//       "minOrderValue": 100, "maxOrderValue": 500,
+//       "shippingService": [{ "match": "contains", "value": "rush" }],
+//       "tags": ["rush"],                    // any of the order's tags
+//       "addressRisks": ["po_box", "military"] // see ADDRESS CHECKS
+//     },
+//     "carrierCode": "ups", "serviceCode": "ups_next_day_air",
+//     "confirmation": "signature"            // optional
+//   }
+//
+// shippingService is the Shopify shipping line the customer paid for, which
+// ShipStation keeps as requestedShippingService. Rules without addressRisks
+// never match a risky address, and rules with it only match addresses whose
+// risks it all covers; risky orders no rule takes go to needs_review.
+//
+// Optional "rateShopping" replaces the destination default (rules still win)
+// with the cheapest eligible ShipStation rate quote:
+//
+//   "rateShopping": {
+//     "enabled": true,
+//     "fromPostalCode": "90210",
+//     "carriers": ["ups", "fedex"],
+//     "maxTransitDays": 5,
+//     "transitDays": { "ups_ground": 5, "ups_2nd_day_air": 2 }
+//   }
+//
+// ShipStation's rate quotes carry no transit time, so transitDays maps service
+// codes to days; with maxTransitDays set, services missing there are skipped.
+// If rating fails or nothing is eligible the static mapping is used.
+const CARRIER_RULES_PATH = process.env.CARRIER_RULES_PATH ||
+  path.join(CONFIG_DIR, 'carrier-rules.json');
+
+const CARRIER_RULE_KEYS = ['name', 'when', 'carrierCode', 'serviceCode', 'confirmation'];
+const CARRIER_RULE_CONDITION_KEYS = [
+  'countries', 'states', 'destinationTypes', 'minWeightKg', 'maxWeightKg',
+  'minOrderValue', 'maxOrderValue', 'shippingService', 'tags', 'addressRisks'
+];
+const CONFIRMATION_TYPES = ['none', 'delivery', 'signature', 'adult_signature', 'direct_signature'];
+
+function compileCarrierRules(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('carrier rules', ['expected a JSON object']);
+  }
+  assertKnownKeys(raw, ['rules', 'rateShopping'], 'carrier rules', errors);
+
+  if (!Array.isArray(raw.rules ?? [])) {
+    assertNoConfigErrors('carrier rules', ['rules: expected an array']);
+  }
+
+  const upperList = (list, where) => {
+    if (list === undefined) return null;
+    if (!Array.isArray(list) || list.some(value => typeof value !== 'string')) {
+      errors.push(`${where}: expected an array of strings`);
+      return null;
+    }
+    return list.map(value => value.toUpperCase());
+  };
+
+  const number = (value, where) => {
+    if (value === undefined) return null;
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push(`${where}: expected a number`);
+      return null;
+    }
+    return value;
+  };
+
+  const rules = (raw.rules ?? []).map((rule, i) => {
+    const where = `rules[${i}]`;
+    assertKnownKeys(rule || {}, CARRIER_RULE_KEYS, where, errors);
+    const when = rule?.when || {};
+    assertKnownKeys(when, CARRIER_RULE_CONDITION_KEYS, `${where}.when`, errors);
+
+    if (typeof rule?.carrierCode !== 'string' || !rule.carrierCode) errors.push(`${where}.carrierCode: expected a non-empty string`);
+    if (typeof rule?.serviceCode !== 'string' || !rule.serviceCode) errors.push(`${where}.serviceCode: expected a non-empty string`);
+    if (rule?.confirmation !== undefined && !CONFIRMATION_TYPES.includes(rule.confirmation)) {
+      errors.push(`${where}.confirmation: expected one of ${CONFIRMATION_TYPES.join(', ')}`);
+    }
+
+    const destinationTypes = upperList(when.destinationTypes, `${where}.when.destinationTypes`);
+    if (destinationTypes?.some(type => !Object.prototype.hasOwnProperty.call(CARRIER_SETTINGS, type))) {
+      errors.push(`${where}.when.destinationTypes: expected ${Object.keys(CARRIER_SETTINGS).join(', ')}`);
+    }
+
+    if (when.tags !== undefined && (!Array.isArray(when.tags) || when.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push(`${where}.when.tags: expected an array of tag names`);
+    }
+    if (when.addressRisks !== undefined && (!Array.isArray(when.addressRisks) || when.addressRisks.length === 0 ||
+      when.addressRisks.some(code => !Object.prototype.hasOwnProperty.call(ADDRESS_RISKS, code)))) {
+      errors.push(`${where}.when.addressRisks: expected a non-empty array of ${Object.keys(ADDRESS_RISKS).join(', ')}`);
+    }
+
+    return {
+      name: rule?.name || `rules[${i}]`,
+      countries: upperList(when.countries, `${where}.when.countries`),
+      states: upperList(when.states, `${where}.when.states`),
+      destinationTypes,
+      minWeightKg: number(when.minWeightKg, `${where}.when.minWeightKg`),
+      maxWeightKg: number(when.maxWeightKg, `${where}.when.maxWeightKg`),
+      minOrderValue: number(when.minOrderValue, `${where}.when.minOrderValue`),
+      maxOrderValue: number(when.maxOrderValue, `${where}.when.maxOrderValue`),
+      shippingService: when.shippingService === undefined
+        ? null
+        : compilePatternList(when.shippingService, `${where}.when.shippingService`, errors),
+      tags: Array.isArray(when.tags) ? when.tags : null,
+      addressRisks: Array.isArray(when.addressRisks) ? when.addressRisks : null,
+      carrierCode: rule?.carrierCode,
+      serviceCode: rule?.serviceCode,
+      confirmation: rule?.confirmation ?? null
+    };
   });
+
+  const rateShopping = compileRateShopping(raw.rateShopping, errors);
+
+  assertNoConfigErrors('carrier rules', errors);
+  return { rules, rateShopping };
 }
 
-function isDuoAccessory(item) {
-  if (!item.properties || item.properties.length === 0) return false;
-  return item.properties.some(prop => String(prop.name || '') === '_duo_accessory' && String(prop.value || '') === 'true');
+const RATE_SHOPPING_KEYS = ['enabled', 'fromPostalCode', 'carriers', 'maxTransitDays', 'transitDays'];
+
+function compileRateShopping(raw = {}, errors) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('rateShopping: expected an object');
+    return { enabled: false };
+  }
+  assertKnownKeys(raw, RATE_SHOPPING_KEYS, 'rateShopping', errors);
+
+  const enabled = raw.enabled === true;
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') errors.push('rateShopping.enabled: expected true or false');
+
+  if (enabled && (typeof raw.fromPostalCode !== 'string' || !raw.fromPostalCode)) {
+    errors.push('rateShopping.fromPostalCode: expected the ship-from postal code');
+  }
+  const carriers = raw.carriers ?? [];
+  if (!Array.isArray(carriers) || carriers.some(code => typeof code !== 'string' || !code)) {
+    errors.push('rateShopping.carriers: expected an array of carrier codes');
+  } else if (enabled && carriers.length === 0) {
+    errors.push('rateShopping.carriers: at least one carrier is needed when enabled');
+  }
+  if (raw.maxTransitDays !== undefined && (typeof raw.maxTransitDays !== 'number' || raw.maxTransitDays <= 0)) {
+    errors.push('rateShopping.maxTransitDays: expected a positive number');
+  }
+  const transitDays = raw.transitDays ?? {};
+  if (typeof transitDays !== 'object' || Array.isArray(transitDays) ||
+    Object.values(transitDays).some(days => typeof days !== 'number')) {
+    errors.push('rateShopping.transitDays: expected an object of service code → days');
+  }
+
+  return {
+    enabled,
+    fromPostalCode: raw.fromPostalCode,
+    carriers: Array.isArray(carriers) ? carriers : [],
+    maxTransitDays: raw.maxTransitDays ?? null,
+    transitDays
+  };
 }
 
-function formatDuoCustomizations(duoItems = []) {
-  if (duoItems.length === 0) return '';
+const carrierRules = createConfigFile('carrier rules', CARRIER_RULES_PATH, compileCarrierRules);
 
-  // Separate books from accessories, group by Duo Pair
-  const pairs = {};
-  for (const item of duoItems) {
-    const pairProp = (item.properties || []).find(p => String(p.name) === 'Duo Pair');
-    const pairLabel = pairProp ? String(pairProp.value) : 'Duo';
-    if (!pairs[pairLabel]) pairs[pairLabel] = { books: [], accessories: [] };
+// What the carrier rules look at, from a ShipStation order. Pass
+// ignoreAddressRisks once a reviewer has approved the address.
+function getShipStationCarrierFacts(fullOrder, tags = [], { ignoreAddressRisks = false } = {}) {
+  const shipTo = fullOrder.shipTo || {};
+  return {
+    addressRisks: ignoreAddressRisks ? [] : detectAddressRisks(shipTo),
+    country: String(shipTo.country || '').toUpperCase(),
+    state: String(shipTo.state || '').toUpperCase(),
+    destinationType: getDestinationType(shipTo),
+    weightKg: getWeightInKg(fullOrder.weight),
+    orderValue: Number(fullOrder.orderTotal) || 0,
+    shippingService: fullOrder.requestedShippingService || '',
+    tags
+  };
+}
 
-    if (isDuoAccessory(item)) {
-      pairs[pairLabel].accessories.push(item);
-    } else {
-      pairs[pairLabel].books.push(item);
-    }
+// The same facts from a Shopify payload (for previews, before ShipStation
+// has the order)
+function getShopifyCarrierFacts(order, tags = []) {
+  const shipTo = shopifyAddressToShipTo(order.shipping_address);
+  return {
+    addressRisks: detectAddressRisks(shipTo),
+    country: String(shipTo.country || '').toUpperCase(),
+    state: String(shipTo.state || '').toUpperCase(),
+    destinationType: getDestinationType(shipTo),
+    weightKg: (Number(order.total_weight) || 0) / 1000,
+    orderValue: Number(order.total_price) || 0,
+    shippingService: order.shipping_lines?.[0]?.title || '',
+    tags
+  };
+}
+
+function carrierRuleMatches(rule, facts) {
+  const riskCodes = facts.addressRisks.map(risk => risk.code);
+  if (rule.addressRisks) {
+    if (riskCodes.length === 0 || !riskCodes.every(code => rule.addressRisks.includes(code))) return false;
+  } else if (riskCodes.length > 0) {
+    return false;
   }
+  if (rule.countries && !rule.countries.includes(facts.country)) return false;
+  if (rule.states && !rule.states.includes(facts.state)) return false;
+  if (rule.destinationTypes && !rule.destinationTypes.includes(facts.destinationType)) return false;
+  if (rule.minWeightKg !== null && facts.weightKg < rule.minWeightKg) return false;
+  if (rule.maxWeightKg !== null && facts.weightKg >= rule.maxWeightKg) return false;
+  if (rule.minOrderValue !== null && facts.orderValue < rule.minOrderValue) return false;
+  if (rule.maxOrderValue !== null && facts.orderValue >= rule.maxOrderValue) return false;
+  if (rule.shippingService && !rule.shippingService(facts.shippingService)) return false;
+  if (rule.tags && !rule.tags.some(tag => facts.tags.includes(tag))) return false;
+  return true;
+}
 
-  let formatted = 'CUSTOMIZATIONS:\n\n';
-  let hasContent = false;
-  let hasCharms = false;
+// { rule, source, carrierCode, serviceCode, confirmation } for the first
+// matching rule, or the shop's destination default (rule "default (US)" etc.).
+// null when the address has risks no rule handles: the order needs review.
+function selectCarrier(facts, shop = DEFAULT_SHOP) {
+  const rule = carrierRules.get().rules.find(candidate => carrierRuleMatches(candidate, facts));
 
-  for (const [pairLabel, pair] of Object.entries(pairs)) {
-    // Check if this pair has any accessories or free gifts worth noting
-    const hasFreeGifts = pair.books.some(book =>
-      (book.properties || []).some(p => isFreeGiftPropertyName(String(p.name || '')))
-    );
+  if (rule) {
+    return {
+      rule: rule.name,
+      source: 'rule',
+      carrierCode: rule.carrierCode,
+      serviceCode: rule.serviceCode,
+      confirmation: rule.confirmation
+    };
+  }
 
-    if (pair.accessories.length === 0 && !hasFreeGifts) continue;
+  if (facts.addressRisks.length > 0) return null;
 
-    hasContent = true;
-    formatted += `── DUO BUNDLE (${pairLabel}) ──\n\n`;
+  const settings = shop.carrierSettings[facts.destinationType];
+  return {
+    rule: `default (${facts.destinationType})`,
+    source: 'default',
+    carrierCode: settings.carrierCode,
+    serviceCode: settings.serviceCode,
+    confirmation: null
+  };
+}
 
-    for (let i = 0; i < pair.books.length; i++) {
-      const book = pair.books[i];
-      const bookName = book.name || book.title || 'Unknown';
-      const bookLabel = i === 0 ? 'Book One' : 'Book Two';
-      const bookVariantId = book.variant_id;
+// Quote every allowed carrier and pick the cheapest eligible service.
+// Resolves with { quotedAt, quotes, chosen, error }; chosen is null when
+// nothing could be rated or nothing is eligible.
+async function shopForRates(fullOrder, { dimensions, confirmation }, shop = DEFAULT_SHOP) {
+  const settings = carrierRules.get().rateShopping;
+  const shipTo = fullOrder.shipTo || {};
+  const quotes = [];
+  const errors = [];
 
-      formatted += `${bookLabel} — ${bookName}:\n`;
+  for (const carrierCode of settings.carriers) {
+    try {
+      const rates = await getShipStationRates({
+        carrierCode,
+        fromPostalCode: settings.fromPostalCode,
+        toCountry: shipTo.country,
+        toState: shipTo.state,
+        toPostalCode: shipTo.postalCode,
+        toCity: shipTo.city,
+        weight: fullOrder.weight,
+        dimensions: dimensions || fullOrder.dimensions || undefined,
+        confirmation: confirmation || undefined,
+        residential: shipTo.residential ?? undefined
+      }, shop);
 
-      // Free gifts on this book
-      for (const prop of (book.properties || [])) {
-        if (isFreeGiftPropertyName(String(prop.name || ''))) {
-          formatted += `  ☐ Free Gift: ${String(prop.value || '')}\n`;
+      for (const rate of rates) {
+        const transitDays = settings.transitDays[rate.serviceCode] ?? null;
+        let skipped = null;
+        if (settings.maxTransitDays !== null) {
+          if (transitDays === null) skipped = 'transit time unknown';
+          else if (transitDays > settings.maxTransitDays) skipped = `${transitDays} days > ${settings.maxTransitDays}`;
         }
-      }
 
-      // Accessories nested under this book (matched by parent_id = book's variant_id)
-      // Note: In order data, parent relationship may not be preserved,
-      // so we list all accessories for the pair under their respective books.
-      // Since accessories appear after their parent in the items array,
-      // we assign them to the most recently seen book.
+        quotes.push({
+          carrierCode,
+          serviceCode: rate.serviceCode,
+          serviceName: rate.serviceName,
+          cost: Number(((Number(rate.shipmentCost) || 0) + (Number(rate.otherCost) || 0)).toFixed(2)),
+          transitDays,
+          skipped
+        });
+      }
+    } catch (error) {
+      const message = error.response?.data?.Message || error.message;
+      console.warn(`  ⚠️  Could not rate ${carrierCode}: ${message}`);
+      errors.push(`${carrierCode}: ${message}`);
     }
+  }
 
-    // List all accessories for this pair
-    for (const acc of pair.accessories) {
-      const accName = acc.name || acc.title || 'Accessory';
-      formatted += `  ☐ ${accName}\n`;
-      if (accName.toLowerCase().includes('charm')) hasCharms = true;
-    }
+  const eligible = quotes.filter(quote => !quote.skipped).sort((a, b) => a.cost - b.cost);
+
+  return {
+    quotedAt: new Date().toISOString(),
+    quotes,
+    chosen: eligible[0] || null,
+    // Carriers that could not be rated are noted even when another one won
+    error: errors.join('; ') ||
+      (eligible.length > 0 ? null : quotes.length > 0 ? 'No eligible services' : 'No rates returned')
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUEUE PRIORITY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The worker drains higher priorities first (oldest first within one). The
+// priority is set at webhook time from config/priority-rules.json:
+//
+//   {
+//     "defaultPriority": 0,
+//     "bumpPriority": 100,                   // set by the dashboard's bump
+//     "rules": [{
+//       "name": "expedited shipping",
+//       "priority": 50,
+//       "when": {                            // every condition must match
+//         "shippingLine": [{ "match": "contains", "value": "express" }],
+//         "tags": ["rush"],                  // our tags or Shopify order tags
+//         "minOrderValue": 250               // Shopify total_price
+//       }
+//     }]
+//   }
+//
+// The highest matching rule wins. A bumped order keeps its priority when
+// later webhooks arrive.
+const PRIORITY_RULES_PATH = process.env.PRIORITY_RULES_PATH ||
+  path.join(CONFIG_DIR, 'priority-rules.json');
+
+const PRIORITY_RULE_KEYS = ['name', 'priority', 'when'];
+const PRIORITY_RULE_CONDITION_KEYS = ['shippingLine', 'tags', 'minOrderValue'];
+
+function compilePriorityRules(raw) {
+  const errors = [];
 
-    formatted += '\n';
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    assertNoConfigErrors('priority rules', ['expected a JSON object']);
   }
+  assertKnownKeys(raw, ['defaultPriority', 'bumpPriority', 'rules'], 'priority rules', errors);
 
-  if (hasContent && hasCharms) {
-    formatted += '════════════════════════════════════════\n';
-    formatted += 'Charm(s) handplaced by: ____________________________\n';
+  if (!Array.isArray(raw.rules ?? [])) {
+    assertNoConfigErrors('priority rules', ['rules: expected an array']);
   }
 
-  return hasContent ? formatted : '';
-}
+  const integer = (value, where) => {
+    if (!Number.isInteger(value)) errors.push(`${where}: expected an integer`);
+    return value;
+  };
 
-function determineTagType(lineItems = []) {
-  for (const item of lineItems) {
-    if (!item.properties || item.properties.length === 0) continue;
+  const defaultPriority = integer(raw.defaultPriority ?? 0, 'defaultPriority');
+  const bumpPriority = integer(raw.bumpPriority ?? 100, 'bumpPriority');
 
-    if (item.name && item.name.toLowerCase().includes('charm')) {
-      return 'charm';
-    }
+  const rules = (raw.rules ?? []).map((rule, i) => {
+    const where = `rules[${i}]`;
+    assertKnownKeys(rule || {}, PRIORITY_RULE_KEYS, where, errors);
+    const when = rule?.when || {};
+    assertKnownKeys(when, PRIORITY_RULE_CONDITION_KEYS, `${where}.when`, errors);
 
-    for (const prop of item.properties) {
-      const name = String(prop.name || '').toLowerCase();
-      const value = String(prop.value || '').toLowerCase();
-      
-      if (name.includes('charm') || value.includes('charm')) {
-        return 'charm';
-      }
+    if (Object.keys(when).length === 0) errors.push(`${where}.when: expected at least one condition`);
+    if (when.tags !== undefined && (!Array.isArray(when.tags) || when.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push(`${where}.when.tags: expected an array of tag names`);
+    }
+    if (when.minOrderValue !== undefined && (typeof when.minOrderValue !== 'number' || Number.isNaN(when.minOrderValue))) {
+      errors.push(`${where}.when.minOrderValue: expected a number`);
     }
+
+    return {
+      name: rule?.name || `rules[${i}]`,
+      priority: integer(rule?.priority, `${where}.priority`),
+      shippingLine: when.shippingLine === undefined
+        ? null
+        : compilePatternList(when.shippingLine, `${where}.when.shippingLine`, errors),
+      tags: Array.isArray(when.tags) ? when.tags.map(tag => String(tag).toLowerCase()) : null,
+      minOrderValue: when.minOrderValue ?? null
+    };
+  });
+
+  if (rules.some(rule => rule.priority >= bumpPriority)) {
+    errors.push('bumpPriority: expected a priority above every rule, so bumped orders go first');
+  }
+
+  assertNoConfigErrors('priority rules', errors);
+  return { defaultPriority, bumpPriority, rules };
+}
+
+const priorityRules = createConfigFile('priority rules', PRIORITY_RULES_PATH, compilePriorityRules);
+
+// Tags are compared lowercase: Shopify tags keep whatever case staff typed
+function getPriorityFacts(order, tags = []) {
+  const shopifyTags = String(order.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  return {
+    shippingLines: (order.shipping_lines || []).flatMap(line => [line.title, line.code]).filter(Boolean),
+    tags: [...tags, ...shopifyTags].map(tag => tag.toLowerCase()),
+    orderValue: Number(order.total_price) || 0
+  };
+}
+
+function priorityRuleMatches(rule, facts) {
+  if (rule.shippingLine && !facts.shippingLines.some(line => rule.shippingLine(line))) return false;
+  if (rule.tags && !rule.tags.some(tag => facts.tags.includes(tag))) return false;
+  if (rule.minOrderValue !== null && facts.orderValue < rule.minOrderValue) return false;
+  return true;
+}
+
+// { priority, rule } for a Shopify order; rule is null for the default
+function determinePriority(order, tags = []) {
+  const { defaultPriority, rules } = priorityRules.get();
+  const facts = getPriorityFacts(order, tags);
+  let best = null;
+
+  for (const rule of rules) {
+    if ((!best || rule.priority > best.priority) && priorityRuleMatches(rule, facts)) best = rule;
   }
 
-  return 'customization';
+  return best ? { priority: best.priority, rule: best.name } : { priority: defaultPriority, rule: null };
+}
+
+// Orders still waiting (queued or held) can be bumped once
+const BUMPABLE_STATUSES = ['pending', 'needs_review'];
+
+function canBumpPriority(order) {
+  return BUMPABLE_STATUSES.includes(order.status) && !order.priority_bumped_at;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// WEBHOOK HANDLER
+// SHIPSTATION API
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function handleWebhook(req, res) {
-  try {
-    const hmac = req.get('X-Shopify-Hmac-Sha256');
-    const topic = req.get('X-Shopify-Topic') || 'orders/create';
-    const shop = req.get('X-Shopify-Shop-Domain') || 'unknown';
-    
-    console.log(`\n${'═'.repeat(80)}`);
-    console.log(`📨 Webhook: ${topic} from ${shop}`);
-    console.log(`${'═'.repeat(80)}`);
+// ShipStation allows 40 requests per minute per API key and reports the
+// budget in X-Rate-Limit-Remaining / X-Rate-Limit-Reset (seconds). All calls
+// for an account go through one shared client that waits for the window to
+// reset instead of running into 429s.
+const SHIPSTATION_SETTINGS = {
+  baseURL: process.env.SHIPSTATION_BASE_URL || 'https://ssapi.shipstation.com',
+  timeoutMs: parseInt(process.env.SHIPSTATION_TIMEOUT_MS, 10) || 15000,
+  // 5xx responses, timeouts and dropped connections are retried in place,
+  // for requests that are safe to send twice (see isRetryableShipStationRequest)
+  maxTransientRetries: parseInt(process.env.SHIPSTATION_MAX_TRANSIENT_RETRIES, 10) || 3,
+  transientRetryDelayMs: parseInt(process.env.SHIPSTATION_TRANSIENT_RETRY_DELAY_MS, 10) || 2000,
+  // 429s are waited out this many times before the error reaches the worker
+  maxRateLimitWaits: parseInt(process.env.SHIPSTATION_MAX_RATE_LIMIT_WAITS, 10) || 3,
+  // Used when a 429 arrives without X-Rate-Limit-Reset
+  defaultResetSeconds: 60
+};
 
-    const rawBody = req.body instanceof Buffer ? req.body.toString('utf8') : '';
-    
-    if (!verifyShopifyWebhook(rawBody, hmac)) {
-      console.warn('❌ HMAC verification failed');
-      return res.status(401).send('Unauthorized');
-    }
-    
-    console.log('✅ HMAC verified');
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
 
-    const order = JSON.parse(rawBody);
-    console.log(`📦 Order: ${order.name} (ID: ${order.id})`);
+// POSTs that do the same thing when sent twice: createorder updates by
+// orderKey, addtag is a no-op for a tag the order has, getrates only quotes.
+// Anything else (e.g. /accounts/createtag) may have gone through before the
+// error, so it is not retried in place.
+const IDEMPOTENT_SHIPSTATION_POSTS = ['/orders/createorder', '/orders/addtag', '/shipments/getrates'];
 
-        // ============ ADD THIS DEBUG SECTION ============
-    // Debug: Log the first line item with customizations to see field structure
-    const itemWithProps = order.line_items?.find(item => 
-      item.properties && item.properties.length > 0
-    );
-    
-    if (itemWithProps) {
-      console.log('\n🔍 DEBUG - Line item with customizations:');
-      console.log('  name:', itemWithProps.name);
-      console.log('  title:', itemWithProps.title);
-      console.log('  variant_title:', itemWithProps.variant_title);
-      console.log('  sku:', itemWithProps.sku);
-      // This will help you see if name includes the full title + variant
+const shipStationClients = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTransientShipStationError(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+function isRetryableShipStationRequest(config) {
+  const method = (config.method || 'get').toLowerCase();
+  return method === 'get' || (method === 'post' && IDEMPOTENT_SHIPSTATION_POSTS.includes(config.url));
+}
+
+// Tracks the rate limit window of one ShipStation account. Requests take a
+// turn in order; when the budget is used up the next one waits for the reset.
+function createRateLimiter(label) {
+  const state = {
+    limit: null,
+    remaining: null, // null until the first response tells us
+    resetAt: 0,
+    queue: Promise.resolve()
+  };
+
+  function acquire() {
+    const turn = state.queue.then(async () => {
+      if (state.remaining !== null && state.remaining <= 0) {
+        const waitMs = state.resetAt - Date.now();
+        if (waitMs > 0) {
+          console.log(`  🚦 ShipStation rate limit reached (${label}), waiting ${Math.ceil(waitMs / 1000)}s...`);
+          await sleep(waitMs);
+        }
+        state.remaining = null;
+      }
+      if (state.remaining !== null) state.remaining--;
+    });
+    state.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  function update(headers = {}) {
+    const remaining = parseInt(headers['x-rate-limit-remaining'], 10);
+    const reset = parseInt(headers['x-rate-limit-reset'], 10);
+    const limit = parseInt(headers['x-rate-limit-limit'], 10);
+
+    if (!Number.isNaN(limit)) state.limit = limit;
+    if (!Number.isNaN(remaining)) state.remaining = remaining;
+    if (!Number.isNaN(reset)) state.resetAt = Date.now() + reset * 1000;
+  }
+
+  // A 429: nothing left until the reset (or the default window)
+  function exhaust(headers = {}) {
+    update(headers);
+    state.remaining = 0;
+    if (state.resetAt <= Date.now()) {
+      state.resetAt = Date.now() + SHIPSTATION_SETTINGS.defaultResetSeconds * 1000;
     }
+    return state.resetAt;
+  }
+
+  function getStatus() {
+    return {
+      limit: state.limit,
+      remaining: state.remaining,
+      resetAt: state.resetAt > Date.now() ? new Date(state.resetAt).toISOString() : null
+    };
+  }
+
+  return { acquire, update, exhaust, getStatus };
+}
+
+// Shared client per ShipStation account (API key). 429s are waited out for
+// every request (ShipStation rejected them, nothing ran); other transient
+// errors only for retryable requests. A 429 that survives the waits carries
+// rateLimited/retryAt so the worker can reschedule without spending the
+// order's error budget.
+// Shops sharing an API key share a client, rate limit and tag cache
+function getShipStationAccountKey(shop) {
+  return getShopCredentials(shop).username || '(no api key)';
+}
+
+function getShipStationClient(shop = DEFAULT_SHOP) {
+  const auth = getShopCredentials(shop);
+  const key = getShipStationAccountKey(shop);
+
+  if (shipStationClients.has(key)) {
+    return shipStationClients.get(key).client;
+  }
+
+  const limiter = createRateLimiter(shop.name);
+  const client = axios.create({
+    baseURL: SHIPSTATION_SETTINGS.baseURL,
+    auth,
+    timeout: SHIPSTATION_SETTINGS.timeoutMs
+  });
 
-    // Separate duo bundle items from regular (tepo/qikify) items
-    const allItems = order.line_items || [];
-    const duoItems = allItems.filter(isDuoItem);
-    const regularItems = allItems.filter(item => !isDuoItem(item));
+  client.interceptors.request.use(async (config) => {
+    await limiter.acquire();
+    return config;
+  });
 
-    const duoNote = formatDuoCustomizations(duoItems);
-    const tepoNote = formatTepoCustomizations(regularItems);
+  client.interceptors.response.use(
+    (response) => {
+      limiter.update(response.headers);
+      return response;
+    },
+    async (error) => {
+      const config = error.config;
+      if (error.response) limiter.update(error.response.headers);
+      if (!config) throw error;
 
-    // Combine: duo section first, then tepo section, single header
-    let formattedNote = '';
-    if (duoNote && tepoNote) {
-      formattedNote = duoNote + '\n' + tepoNote.replace(/^CUSTOMIZATIONS:\n\n/, '');
-    } else {
-      formattedNote = duoNote || tepoNote;
-    }
+      if (error.response?.status === 429) {
+        const retryAt = limiter.exhaust(error.response.headers);
+        config.rateLimitWaits = (config.rateLimitWaits || 0) + 1;
 
-    if (!formattedNote) {
-      console.log('ℹ️  No customizations found, skipping');
-      return res.status(200).send('OK');
+        if (config.rateLimitWaits > SHIPSTATION_SETTINGS.maxRateLimitWaits) {
+          error.rateLimited = true;
+          error.retryAt = new Date(retryAt);
+          throw error;
+        }
+
+        console.warn(`  🚦 ShipStation 429 on ${config.method?.toUpperCase()} ${config.url}, retrying after reset`);
+        return client(config);
+      }
+
+      if (isTransientShipStationError(error) && isRetryableShipStationRequest(config)) {
+        config.transientRetries = (config.transientRetries || 0) + 1;
+        if (config.transientRetries > SHIPSTATION_SETTINGS.maxTransientRetries) throw error;
+
+        const delay = SHIPSTATION_SETTINGS.transientRetryDelayMs * Math.pow(2, config.transientRetries - 1);
+        console.warn(`  🔁 ShipStation ${error.response?.status || error.code} on ${config.method?.toUpperCase()} ${config.url}, retry ${config.transientRetries}/${SHIPSTATION_SETTINGS.maxTransientRetries} in ${delay}ms`);
+        await sleep(delay);
+        return client(config);
+      }
+
+      throw error;
     }
+  );
+
+  shipStationClients.set(key, { client, limiter, shopName: shop.name });
+  return client;
+}
 
-    console.log(`✨ Formatted customizations (duo: ${duoItems.length} items, tepo: ${regularItems.length} items)`);
+// Current rate limit window of every account used so far
+function getShipStationRateLimits() {
+  return [...shipStationClients.values()].map(({ limiter, shopName }) => ({
+    shop: shopName,
+    ...limiter.getStatus()
+  }));
+}
 
-    const tagType = determineTagType(order.line_items);
-    console.log(`🏷️  Tag type: ${tagType}`);
+// Every ShipStation order for a Shopify order. Splitting an order in
+// ShipStation keeps the order number (sometimes with a "-1" style suffix) and
+// the Shopify order id as orderKey, and the same number can exist in more
+// than one ShipStation store. The orderNumber filter is a partial match, so
+// results are narrowed to the exact number (or its split suffixes), then to
+// matching orderKeys when any match. Cancelled ShipStation orders are ignored.
+async function findShipStationOrders(orderNumber, shop = DEFAULT_SHOP, { orderKey = null } = {}) {
+  const client = getShipStationClient(shop);
+  
+  try {
+    const orders = [];
 
-    await addOrder(
-      order.id,
-      order.name.replace('#', ''),
-      formattedNote,
-      tagType
-    );
+    for (let page = 1; ; page++) {
+      const params = { orderNumber, page, pageSize: 100 };
+      if (shop.shipstation.storeId) params.storeId = shop.shipstation.storeId;
 
-    console.log('💾 Order queued for processing');
+      const response = await client.get('/orders', { params });
+      orders.push(...(response.data?.orders || []));
+      if (page >= (response.data?.pages || 1)) break;
+    }
 
-    res.status(200).send('OK');
-    console.log('✅ Sent 200 OK to Shopify\n');
+    const number = String(orderNumber);
+    const sameNumber = orders.filter(candidate =>
+      candidate.orderStatus !== 'cancelled' &&
+      (String(candidate.orderNumber) === number || String(candidate.orderNumber).startsWith(`${number}-`))
+    );
 
+    const key = orderKey ? String(orderKey) : null;
+    const keyed = key
+      ? sameNumber.filter(candidate => candidate.orderKey === key || String(candidate.orderKey || '').startsWith(`${key}-`))
+      : [];
+
+    return keyed.length > 0 ? keyed : sameNumber;
   } catch (error) {
-    console.error('💥 Webhook error:', error.message);
-    if (!res.headersSent) res.status(200).send('OK');
+    // A failed search is an API error, not "not synced yet"
+    console.error(`❌ Error searching for order ${orderNumber}:`, error.message);
+    throw error;
   }
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// PARCEL SELECTION CONFIGURATION
-// ═══════════════════════════════════════════════════════════════════════════
+async function getFullOrder(orderId, shop = DEFAULT_SHOP) {
+  const client = getShipStationClient(shop);
+  
+  try {
+    const response = await client.get(`/orders/${orderId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`❌ Error getting full order ${orderId}:`, error.message);
+    throw error;
+  }
+}
 
-// Box dimensions in centimeters (L × W × H)
-const PACKAGE_DIMENSIONS = {
-  'BoxMaster 2"': { code: 'BoxMaster 2"', length: 25.4, width: 17.78, height: 5, units: 'centimeters' },
-  'BoxMaster 3"': { code: 'BoxMaster 3"', length: 27.94, width: 20.95, height: 7.62, units: 'centimeters' },
-  'BoxMaster 6"': { code: 'BoxMaster 6"', length: 29.21, width: 24.13, height: 15.24, units: 'centimeters' }
+// ShipStation fields the note can go to, and the longest value we send to
+// each (ShipStation truncates or rejects longer ones; override them with
+// NOTE_FIELD_MAX_LENGTH if theirs change).
+const NOTE_FIELDS = {
+  giftMessage: { path: ['giftMessage'], maxLength: 1000 },
+  internalNotes: { path: ['internalNotes'], maxLength: 1000 },
+  customerNotes: { path: ['customerNotes'], maxLength: 1000 }
 };
 
-// Weight thresholds in kilograms
-const WEIGHT_THRESHOLDS = {
-  small: 1.5,   // < 1.5 kg → BoxMaster 2"
-  medium: 2.5   // >= 1.5 kg and < 2.5 kg → BoxMaster 3", >= 2.5 kg → BoxMaster 6"
-};
+// customField1-3 hold 100 characters; the markers alone take 40 of them and
+// almost every note would fail, so they are refused as note targets
+const SHORT_NOTE_FIELDS = ['customField1', 'customField2', 'customField3'];
 
-// Carrier settings by destination
-const CARRIER_SETTINGS = {
-  US: { carrierCode: 'ups', serviceCode: 'ups_worldwide_expedited' },
-  CANADA: { carrierCode: 'ups', serviceCode: 'ups_standard' },
-  INTERNATIONAL: { carrierCode: 'ups', serviceCode: 'ups_worldwide_expedited' }
-};
+// Why a field can't take the note (NOTE_FIELD, shops' noteField), or null
+function getNoteFieldError(field) {
+  if (SHORT_NOTE_FIELDS.includes(field)) {
+    return `${field} holds only 100 characters, too short for the customization note; use one of ${Object.keys(NOTE_FIELDS).join(', ')}`;
+  }
+  if (!Object.prototype.hasOwnProperty.call(NOTE_FIELDS, field)) {
+    return `expected one of ${Object.keys(NOTE_FIELDS).join(', ')}`;
+  }
+  return null;
+}
 
-// Helper: Get destination type (US, CANADA, or INTERNATIONAL)
-function getDestinationType(shipTo) {
-  if (!shipTo || !shipTo.country) return 'US'; // Default to US
-  const country = shipTo.country.toUpperCase();
+// Our block inside the field. Everything outside the markers (e.g. the
+// customer's real gift message) is kept; re-runs replace only the block.
+const NOTE_START_MARKER = '[[customizations]]';
+const NOTE_END_MARKER = '[[/customizations]]';
 
-  if (country === 'US' || country === 'USA') {
-    return 'US';
-  } else if (country === 'CA' || country === 'CAN' || country === 'CANADA') {
-    return 'CANADA';
-  } else {
-    return 'INTERNATIONAL';
+// NOTE_FIELD_MAX_LENGTH is per field, "giftMessage:1500,internalNotes:2000"; a
+// bare number only overrides the NOTE_FIELD field. Checked in start().
+function parseNoteFieldMaxLengths(value = '') {
+  const limits = new Map();
+
+  for (const entry of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const field = separator === -1 ? DEFAULT_SHOP.noteField : entry.slice(0, separator).trim();
+    limits.set(field, Number(separator === -1 ? entry : entry.slice(separator + 1).trim()));
   }
+
+  return limits;
 }
 
-// Helper: Convert ShipStation weight to kilograms
-function getWeightInKg(weight) {
-  if (!weight || weight.value === undefined || weight.value === null) return 0;
+const NOTE_FIELD_MAX_LENGTHS = parseNoteFieldMaxLengths(process.env.NOTE_FIELD_MAX_LENGTH);
 
-  const units = (weight.units || '').toLowerCase();
-  const value = weight.value;
+function getNoteFieldMaxLength(field) {
+  return NOTE_FIELD_MAX_LENGTHS.get(field) || NOTE_FIELDS[field].maxLength;
+}
 
-  switch (units) {
-    case 'ounces':
-    case 'oz':
-      return value * 0.0283495;
-    case 'pounds':
-    case 'lbs':
-    case 'lb':
-      return value * 0.453592;
-    case 'grams':
-    case 'g':
-      return value / 1000;
-    case 'kilograms':
-    case 'kg':
-    default:
-      return value;
-  }
+function readNoteField(order, field) {
+  return NOTE_FIELDS[field].path.reduce((value, key) => (value ? value[key] : undefined), order) || '';
 }
 
-// Helper: Select package dimensions based on weight
-function selectPackageByWeight(weightInKg) {
-  if (weightInKg < WEIGHT_THRESHOLDS.small) {
-    return { name: 'BoxMaster 2"', dimensions: PACKAGE_DIMENSIONS['BoxMaster 2"'] };
-  } else if (weightInKg < WEIGHT_THRESHOLDS.medium) {
-    return { name: 'BoxMaster 3"', dimensions: PACKAGE_DIMENSIONS['BoxMaster 3"'] };
+function writeNoteField(order, field, value) {
+  const [first, second] = NOTE_FIELDS[field].path;
+  if (second) {
+    order[first] = { ...(order[first] || {}), [second]: value };
   } else {
-    return { name: 'BoxMaster 6"', dimensions: PACKAGE_DIMENSIONS['BoxMaster 6"'] };
+    order[first] = value;
   }
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// SHIPSTATION API
-// ═══════════════════════════════════════════════════════════════════════════
-
-function createShipStationClient() {
-  return axios.create({
-    baseURL: 'https://ssapi.shipstation.com',
-    auth: {
-      username: process.env.SHIPSTATION_API_KEY,
-      password: process.env.SHIPSTATION_API_SECRET
-    },
-    timeout: 15000
-  });
-}
+// Existing field content with our block added or replaced. Notes pushed
+// before the markers existed were the whole field, starting with our
+// "CUSTOMIZATIONS" header, and are replaced entirely.
+function mergeNoteBlock(existing, note) {
+  const block = `${NOTE_START_MARKER}\n${note}\n${NOTE_END_MARKER}`;
+  const current = String(existing || '');
+  const start = current.indexOf(NOTE_START_MARKER);
+  const end = current.indexOf(NOTE_END_MARKER, start);
 
-async function findShipStationOrder(orderNumber) {
-  const client = createShipStationClient();
-  
-  try {
-    const response = await client.get('/orders', {
-      params: { orderNumber }
-    });
-    
-    const orders = response.data?.orders || [];
-    return orders[0] || null;
-  } catch (error) {
-    console.error(`❌ Error searching for order ${orderNumber}:`, error.message);
-    return null;
+  if (start !== -1 && end !== -1) {
+    return current.slice(0, start) + block + current.slice(end + NOTE_END_MARKER.length);
+  }
+  if (!current.trim() || current.trimStart().startsWith('CUSTOMIZATIONS')) {
+    return block;
   }
+  return `${current.trimEnd()}\n\n${block}`;
 }
 
-async function getFullOrder(orderId) {
-  const client = createShipStationClient();
-  
-  try {
-    const response = await client.get(`/orders/${orderId}`);
-    return response.data;
-  } catch (error) {
-    console.error(`❌ Error getting full order ${orderId}:`, error.message);
-    throw error;
-  }
+// POST /shipments/getrates for one carrier; resolves with its rate list
+async function getShipStationRates(request, shop = DEFAULT_SHOP) {
+  const client = getShipStationClient(shop);
+  const response = await client.post('/shipments/getrates', request);
+  return Array.isArray(response.data) ? response.data : [];
 }
 
-async function updateOrderDetails(orderId, giftMessage) {
-  const client = createShipStationClient();
+// Push the note, box and carrier. Resolves with the carrier selection, box
+// and rate quotes (null unless rate shopping ran) for the queue row, or with
+// { review: [risks] } without touching the order when the address needs review.
+// A note that doesn't fit the shop's note field throws an error marked
+// permanent: retrying can't fix it. Pass fullOrder to skip fetching it again.
+async function updateOrderDetails(orderId, note, shop = DEFAULT_SHOP, { tags = [], ignoreAddressRisks = false, fullOrder: prefetched = null } = {}) {
+  const client = getShipStationClient(shop);
 
   try {
-    console.log(`  📝 Getting full order ${orderId}...`);
-    const fullOrder = await getFullOrder(orderId);
+    if (!prefetched) console.log(`  📝 Getting full order ${orderId}...`);
+    const fullOrder = prefetched || await getFullOrder(orderId, shop);
 
     // DEBUG: Log what we GET from ShipStation
     console.log(`  🔍 BEFORE UPDATE - Order has ${fullOrder.customsItems?.length || 0} customs items`);
 
-    // Start building the updated order
-    const updatedOrder = {
-      ...fullOrder,
-      giftMessage: giftMessage
-    };
+    // Start building the updated order, merging our note into the field
+    const updatedOrder = { ...fullOrder };
+    const noteValue = mergeNoteBlock(readNoteField(fullOrder, shop.noteField), note);
+    const maxLength = getNoteFieldMaxLength(shop.noteField);
+
+    if (noteValue.length > maxLength) {
+      const error = new Error(
+        `Note is too long for ${shop.noteField}: ${noteValue.length} characters including existing content, ShipStation allows ${maxLength}`
+      );
+      error.permanent = true;
+      throw error;
+    }
+    writeNoteField(updatedOrder, shop.noteField, noteValue);
 
     // ═══════════════════════════════════════════════════════════════════════
     // PARCEL SELECTION LOGIC
     // ═══════════════════════════════════════════════════════════════════════
 
-    // Get weight and select appropriate package
+    // Pick a box from the catalog by weight, item count and volume. When the
+    // catalog is disabled ShipStation's automation rules choose the package.
     const weightInKg = getWeightInKg(fullOrder.weight);
-    const selectedPackage = selectPackageByWeight(weightInKg);
+    const { itemCount, volume } = getShipStationItemStats(fullOrder.items);
+    const box = selectBox({ weightKg: weightInKg, itemCount, volume });
+
+    console.log(`  📦 Weight: ${weightInKg.toFixed(2)} kg, ${itemCount} items, volume ${volume}`);
+
+    if (box) {
+      updatedOrder.packageCode = box.packageCode;
+      updatedOrder.dimensions = box.dimensions;
+      console.log(`  📦 Box: ${box.name}${box.oversize ? ' (nothing fits, using the largest box)' : ''}`);
+    }
 
-    console.log(`  📦 Weight: ${weightInKg.toFixed(2)} kg`);
+    // Set carrier from the carrier rules, the cheapest rate quote (if rate
+    // shopping is on and no rule matched) or the destination default
+    const facts = getShipStationCarrierFacts(fullOrder, tags, { ignoreAddressRisks });
+    let carrier = selectCarrier(facts, shop);
+    let rates = null;
 
-    // NOTE: Package selection is handled by ShipStation automation rules
-    // We don't set packageCode or dimensions here to avoid overriding the rules
+    if (!carrier) {
+      console.warn(`  🚩 Address needs review: ${facts.addressRisks.map(risk => risk.message).join('; ')}`);
+      return { review: facts.addressRisks };
+    }
+    if (facts.addressRisks.length > 0) {
+      console.log(`  🚩 Address risks handled by carrier rule: ${facts.addressRisks.map(risk => risk.code).join(', ')}`);
+    }
 
-    // Set carrier based on destination
-    const destType = getDestinationType(fullOrder.shipTo);
-    const carrierSettings = CARRIER_SETTINGS[destType];
+    if (carrier.source === 'default' && carrierRules.get().rateShopping.enabled) {
+      rates = await shopForRates(fullOrder, { dimensions: box?.dimensions, confirmation: carrier.confirmation }, shop);
+
+      if (rates.chosen) {
+        carrier = {
+          rule: `cheapest rate ($${rates.chosen.cost.toFixed(2)} of ${rates.quotes.length} quotes)`,
+          source: 'rates',
+          carrierCode: rates.chosen.carrierCode,
+          serviceCode: rates.chosen.serviceCode,
+          confirmation: carrier.confirmation
+        };
+      } else {
+        console.warn(`  ⚠️  Rate shopping failed (${rates.error}), using ${carrier.rule}`);
+      }
+    }
 
-    updatedOrder.carrierCode = carrierSettings.carrierCode;
-    updatedOrder.serviceCode = carrierSettings.serviceCode;
+    updatedOrder.carrierCode = carrier.carrierCode;
+    updatedOrder.serviceCode = carrier.serviceCode;
+    if (carrier.confirmation) updatedOrder.confirmation = carrier.confirmation;
 
-    console.log(`  🚚 Destination: ${destType} (${fullOrder.shipTo?.country}) → ${carrierSettings.serviceCode}`);
+    console.log(`  🚚 Destination: ${facts.destinationType} (${facts.country}${facts.state ? `/${facts.state}` : ''}), ` +
+      `${facts.weightKg.toFixed(2)} kg, $${facts.orderValue.toFixed(2)}, paid "${facts.shippingService}"`);
+    console.log(`  🚚 Carrier rule: ${carrier.rule} → ${carrier.carrierCode} / ${carrier.serviceCode}` +
+      `${carrier.confirmation ? ` (confirmation: ${carrier.confirmation})` : ''}`);
 
     // DEBUG: Log what we're SENDING to ShipStation
     console.log(`  🔍 SENDING TO SS - carrier: ${updatedOrder.carrierCode}, service: ${updatedOrder.serviceCode}`);
 
     await client.post('/orders/createorder', updatedOrder);
-    console.log(`  ✅ Order updated (gift message + carrier: ${carrierSettings.serviceCode})`);
+    console.log(`  ✅ Order updated (${shop.noteField} + carrier: ${carrier.serviceCode})`);
 
-    return true;
+    return { carrier, box, rates };
   } catch (error) {
     console.error(`  ❌ Error updating order:`, error.response?.data || error.message);
     throw error;
   }
 }
 
-async function getTagId(tagName) {
-  const client = createShipStationClient();
-  
+// ShipStation tags are cached per account and refreshed after TAG_CACHE_TTL_MS
+// (or immediately when a tag we need is not in the cached list).
+const TAG_CACHE_TTL_MS = parseInt(process.env.TAG_CACHE_TTL_MS, 10) || 15 * 60 * 1000; // 15 minutes
+
+const tagCache = new Map(); // account key → { tags, fetchedAt, pending }
+
+async function getShipStationTags(shop = DEFAULT_SHOP, { refresh = false } = {}) {
+  const key = getShipStationAccountKey(shop);
+  const entry = tagCache.get(key) || { tags: null, fetchedAt: 0, pending: null };
+  tagCache.set(key, entry);
+
+  const fresh = entry.tags && Date.now() - entry.fetchedAt < TAG_CACHE_TTL_MS;
+  if (fresh && !refresh) return entry.tags;
+
+  // Concurrent callers share one request
+  if (!entry.pending) {
+    entry.pending = getShipStationClient(shop).get('/accounts/listtags')
+      .then((response) => {
+        entry.tags = response.data?.tags || response.data || [];
+        entry.fetchedAt = Date.now();
+        return entry.tags;
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+  }
+
+  return entry.pending;
+}
+
+function findTag(tags, tagName) {
+  return tags.find(t => t.name.toLowerCase() === tagName.toLowerCase()) || null;
+}
+
+async function getTagId(tagName, shop = DEFAULT_SHOP) {
   try {
-    const response = await client.get('/accounts/listtags');
-    const tags = response.data?.tags || response.data || [];
-    const tag = tags.find(t => t.name.toLowerCase() === tagName.toLowerCase());
+    let tag = findTag(await getShipStationTags(shop), tagName);
+
+    // Maybe created in ShipStation since the last refresh
+    if (!tag) {
+      tag = findTag(await getShipStationTags(shop, { refresh: true }), tagName);
+    }
     
     if (!tag) {
       console.warn(`⚠️  Tag "${tagName}" not found in ShipStation`);
@@ -930,12 +5480,78 @@ async function getTagId(tagName) {
     return tag.tagId;
   } catch (error) {
     console.error(`❌ Error getting tag ID for "${tagName}":`, error.message);
+    throw error;
+  }
+}
+
+// POST /accounts/createtag is not in every ShipStation plan's API docs, so a
+// failure here is only a warning; the tag can still be created by hand.
+async function createShipStationTag(tagName, shop = DEFAULT_SHOP) {
+  const client = getShipStationClient(shop);
+
+  try {
+    const response = await client.post('/accounts/createtag', { name: tagName });
+    console.log(`  ✅ Created ShipStation tag "${tagName}" (${shop.name})`);
+    await getShipStationTags(shop, { refresh: true });
+    return response.data?.tagId ?? null;
+  } catch (error) {
+    console.warn(`⚠️  Could not create ShipStation tag "${tagName}" (${shop.name}):`, error.response?.data?.Message || error.message);
     return null;
   }
 }
 
-async function addTagToOrder(orderId, tagId) {
-  const client = createShipStationClient();
+// Every tag the customization rules can produce
+function getConfiguredTagTypes() {
+  const rules = getCustomizationRules();
+  return [...new Set([
+    rules.defaultTag,
+    ...rules.tagClassifiers.map(classifier => classifier.tag),
+    ...rules.tagRules.map(rule => rule.tag)
+  ])];
+}
+
+// Configured tags missing from each shop's cached tag list. Shops whose tags
+// have not been fetched yet are left out (nothing is requested from here).
+function getMissingShipStationTags() {
+  const missing = [];
+
+  for (const shop of [DEFAULT_SHOP, ...getRegisteredShops()]) {
+    const tags = tagCache.get(getShipStationAccountKey(shop))?.tags;
+    if (!tags) continue;
+
+    for (const tagType of getConfiguredTagTypes()) {
+      const tagName = getShopTagName(shop, tagType);
+      if (!findTag(tags, tagName)) missing.push({ shop, tagType, tagName });
+    }
+  }
+
+  return missing;
+}
+
+// Startup: load every shop's tags and, with SHIPSTATION_CREATE_MISSING_TAGS=true,
+// create the configured ones that don't exist yet
+async function syncShipStationTags() {
+  const createMissing = process.env.SHIPSTATION_CREATE_MISSING_TAGS === 'true';
+
+  for (const shop of [DEFAULT_SHOP, ...getRegisteredShops()]) {
+    try {
+      await getShipStationTags(shop, { refresh: true });
+    } catch (error) {
+      console.warn(`⚠️  Could not load ShipStation tags (${shop.name}):`, error.message);
+    }
+  }
+
+  for (const { shop, tagName } of getMissingShipStationTags()) {
+    if (createMissing) {
+      await createShipStationTag(tagName, shop);
+    } else {
+      console.warn(`⚠️  ShipStation tag "${tagName}" is missing (${shop.name}); set SHIPSTATION_CREATE_MISSING_TAGS=true or create it by hand`);
+    }
+  }
+}
+
+async function addTagToOrder(orderId, tagId, shop = DEFAULT_SHOP) {
+  const client = getShipStationClient(shop);
   
   try {
     console.log(`  🏷️  Adding tag ${tagId} to order ${orderId}...`);
@@ -957,59 +5573,314 @@ async function addTagToOrder(orderId, tagId) {
 // WORKER - PROCESS PENDING ORDERS
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Retry schedule: delay = base × 2^(n-1), capped at max, ± jitter. Orders
+// that are not in ShipStation yet (e.g. on hold in Shopify) get their own,
+// slower schedule and budget so they don't burn the error budget.
+const RETRY_SETTINGS = {
+  error: {
+    maxAttempts: parseInt(process.env.MAX_ERROR_ATTEMPTS, 10) || 10,
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 6 * 60 * 60 * 1000 // 6 hours
+  },
+  notSynced: {
+    maxAttempts: parseInt(process.env.MAX_SYNC_ATTEMPTS, 10) || 40,
+    baseDelayMs: parseInt(process.env.SYNC_RETRY_BASE_DELAY_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    maxDelayMs: parseInt(process.env.SYNC_RETRY_MAX_DELAY_MS, 10) || 12 * 60 * 60 * 1000 // 12 hours
+  },
+  jitter: process.env.RETRY_JITTER !== undefined ? parseFloat(process.env.RETRY_JITTER) : 0.2
+};
+
+// When to try again after the given number of attempts (1 = first failure)
+function getNextAttemptAt(attemptNumber, schedule) {
+  const exponential = schedule.baseDelayMs * Math.pow(2, Math.max(0, attemptNumber - 1));
+  const capped = Math.min(schedule.maxDelayMs, exponential);
+  const jitter = 1 + RETRY_SETTINGS.jitter * (Math.random() * 2 - 1);
+  return new Date(Date.now() + Math.round(capped * jitter));
+}
+
+function formatDelay(date) {
+  const minutes = Math.round((date.getTime() - Date.now()) / 60000);
+  return minutes < 120 ? `${minutes} min` : `${(minutes / 60).toFixed(1)} h`;
+}
+
+// Longest ShipStation response body kept per attempt
+const MAX_ATTEMPT_RESPONSE_LENGTH = 10000;
+
+function getErrorResponseBody(error) {
+  const data = error.response?.data;
+  if (data === undefined || data === null) return null;
+  const body = typeof data === 'string' ? data : JSON.stringify(data);
+  return body.slice(0, MAX_ATTEMPT_RESPONSE_LENGTH);
+}
+
 async function processOrder(order) {
   console.log(`\n${'─'.repeat(80)}`);
   console.log(`📦 Processing order ${order.order_number} (DB ID: ${order.id})`);
-  console.log(`   Tag: ${order.tag_type}`);
-  console.log(`   Attempts: ${order.attempts}`);
+  const tags = getOrderTags(order);
+  console.log(`   Tags: ${tags.join(', ')}`);
+  console.log(`   Attempts: ${order.attempts} (not synced: ${order.sync_attempts || 0})`);
+
+  const shop = getShopConfig(order.shop_domain);
+  console.log(`   Shop: ${shop.name}${order.shop_domain ? ` (${order.shop_domain})` : ''}`);
+
+  // Everything that happens in this run ends up in order_attempts
+  const attempt = {
+    startedAt: new Date(),
+    finishedAt: null,
+    outcome: null,
+    shipstationOrderId: null,
+    errorMessage: null,
+    responseBody: null,
+    steps: {}
+  };
+  let step = 'search';
   
   try {
     console.log(`  🔍 Searching ShipStation for order ${order.order_number}...`);
-    const shipstationOrder = await findShipStationOrder(order.order_number);
+    const shipstationOrders = await findShipStationOrders(order.order_number, shop, { orderKey: order.shopify_order_id });
+    attempt.steps.search = shipstationOrders.length > 0 ? 'found' : 'not_found';
     
-    if (!shipstationOrder) {
-      console.log(`  ⏳ Order not in ShipStation yet, will retry later`);
-      await updateOrderStatus(order.id, 'pending', null, 'Order not yet synced');
+    if (shipstationOrders.length === 0) {
+      const syncAttempts = (order.sync_attempts || 0) + 1;
+      attempt.errorMessage = 'Order not yet synced';
+
+      if (syncAttempts >= RETRY_SETTINGS.notSynced.maxAttempts) {
+        attempt.outcome = 'failed';
+        await updateOrderStatus(order.id, 'failed', null, `Order not found in ShipStation after ${syncAttempts} checks`);
+        console.log(`  ❌ Order ${order.order_number} never appeared in ShipStation, marked as failed`);
+        return;
+      }
+
+      attempt.outcome = 'not_synced';
+      const nextAttemptAt = getNextAttemptAt(syncAttempts, RETRY_SETTINGS.notSynced);
+      await scheduleRetry(order.id, { errorMessage: 'Order not yet synced', nextAttemptAt, notSynced: true });
+      console.log(`  ⏳ Order not in ShipStation yet, will check again in ${formatDelay(nextAttemptAt)}`);
       return;
     }
     
-    console.log(`  ✅ Found in ShipStation! Order ID: ${shipstationOrder.orderId}`);
-
-    await updateOrderDetails(shipstationOrder.orderId, order.formatted_note);
-    
-    const tagId = await getTagId(order.tag_type);
+    const shipstationOrderIds = shipstationOrders.map(shipstationOrder => shipstationOrder.orderId);
+    console.log(`  ✅ Found in ShipStation! Order ID${shipstationOrderIds.length > 1 ? 's' : ''}: ${shipstationOrderIds.join(', ')}`);
+    attempt.shipstationOrderId = shipstationOrderIds[0];
+    await saveOrderShipments(order.id, shipstationOrders);
     
-    if (tagId) {
-      await addTagToOrder(shipstationOrder.orderId, tagId);
-    } else {
-      console.warn(`  ⚠️  Skipping tag (not found in ShipStation)`);
+    // Tags are looked up first so a missing tag doesn't leave some of the
+    // ShipStation orders updated and others not
+    step = 'tagLookup';
+    const tagIds = [];
+    const missingTags = [];
+    for (const tag of tags) {
+      const tagName = getShopTagName(shop, tag);
+      const tagId = await getTagId(tagName, shop);
+      if (tagId) tagIds.push(tagId);
+      else missingTags.push(tagName);
+    }
+
+    // Never complete an order without all of its tags; it stays pending
+    // until the tags exist in ShipStation. These checks use up no retry
+    // budget, so the order can't end up failed while it waits.
+    if (missingTags.length > 0) {
+      attempt.steps.tagLookup = 'missing';
+      attempt.outcome = 'missing_tags';
+      attempt.errorMessage = `ShipStation tag${missingTags.length > 1 ? 's' : ''} not found: ${missingTags.map(name => `"${name}"`).join(', ')}`;
+      const nextAttemptAt = new Date(Date.now() + RETRY_SETTINGS.error.baseDelayMs);
+      await scheduleRetry(order.id, { errorMessage: attempt.errorMessage, nextAttemptAt, counted: false });
+      console.log(`  🏷️  ${attempt.errorMessage}, will check again in ${formatDelay(nextAttemptAt)}`);
+      return;
+    }
+    attempt.steps.tagLookup = 'ok';
+
+    // Every shipment's address is checked before any of them is touched, so
+    // a split order held for review never has some shipments already updated
+    step = 'addressCheck';
+    const ignoreAddressRisks = Boolean(order.review_approved_at);
+    const fullOrders = new Map();
+    const addressRisks = [];
+    for (const shipstationOrder of shipstationOrders) {
+      console.log(`  📝 Getting full order ${shipstationOrder.orderId}...`);
+      const fullOrder = await getFullOrder(shipstationOrder.orderId, shop);
+      fullOrders.set(shipstationOrder.orderId, fullOrder);
+
+      const facts = getShipStationCarrierFacts(fullOrder, tags, { ignoreAddressRisks });
+      if (!selectCarrier(facts, shop)) {
+        for (const risk of facts.addressRisks) {
+          if (!addressRisks.some(existing => existing.code === risk.code)) addressRisks.push(risk);
+        }
+      }
+    }
+
+    if (addressRisks.length > 0) {
+      attempt.steps.addressCheck = 'needs_review';
+      attempt.outcome = 'needs_review';
+      attempt.errorMessage = addressRisks.map(risk => risk.message).join('; ');
+      await markNeedsReview(order.id, addressRisks.map(risk => ({ type: 'address', ...risk })));
+      console.log(`  🚩 Order ${order.order_number} held for review: ${attempt.errorMessage}`);
+      return;
+    }
+    attempt.steps.addressCheck = 'ok';
+
+    // Note, carrier, box and tags on every ShipStation order; the queue row
+    // only completes when all of them succeed
+    step = 'details';
+    const failures = [];
+    let primary = null;
+
+    for (const shipstationOrder of shipstationOrders) {
+      try {
+        const result = await updateOrderDetails(shipstationOrder.orderId, order.formatted_note, shop, {
+          tags,
+          ignoreAddressRisks,
+          fullOrder: fullOrders.get(shipstationOrder.orderId)
+        });
+
+        if (result.review) {
+          attempt.steps.details = 'needs_review';
+          attempt.outcome = 'needs_review';
+          attempt.errorMessage = result.review.map(risk => risk.message).join('; ');
+          await markNeedsReview(order.id, result.review.map(risk => ({ type: 'address', ...risk })));
+          console.log(`  🚩 Order ${order.order_number} held for review (ShipStation order ${shipstationOrder.orderId})`);
+          return;
+        }
+
+        for (const tagId of tagIds) {
+          await addTagToOrder(shipstationOrder.orderId, tagId, shop);
+        }
+
+        await updateOrderShipment(order.id, shipstationOrder.orderId, {
+          status: 'completed',
+          carrier: result.carrier,
+          box: result.box,
+          rates: result.rates
+        });
+        primary = primary || result;
+      } catch (error) {
+        await updateOrderShipment(order.id, shipstationOrder.orderId, { status: 'failed', errorMessage: error.message });
+
+        // Rate limits and permanent errors apply to the whole queue row
+        if (error.rateLimited || error.permanent) throw error;
+        failures.push({ shipstationOrder, error });
+      }
+    }
+
+    if (primary) await saveShippingSelections(order.id, primary);
+
+    if (failures.length > 0) {
+      const error = new Error(
+        `${failures.length} of ${shipstationOrders.length} ShipStation orders failed: ` +
+        failures.map(failure => `${failure.shipstationOrder.orderId}: ${failure.error.message}`).join('; ')
+      );
+      error.response = failures[0].error.response;
+      throw error;
     }
+
+    attempt.steps.details = 'ok';
+    attempt.steps.tag = 'ok';
     
-    await updateOrderStatus(order.id, 'completed', shipstationOrder.orderId, null);
+    await updateOrderStatus(order.id, 'completed', shipstationOrderIds[0], null);
+    attempt.outcome = 'completed';
     
     console.log(`  🎉 Order ${order.order_number} completed successfully!`);
     
   } catch (error) {
     console.error(`  💥 Error processing order:`, error.message);
+
+    attempt.steps[step] = attempt.steps[step] || 'failed';
+    attempt.errorMessage = error.message;
+    attempt.responseBody = getErrorResponseBody(error);
+
+    // Still rate limited after waiting: try again after the reset, for free
+    if (error.rateLimited) {
+      attempt.outcome = 'rate_limited';
+      await scheduleRetry(order.id, {
+        errorMessage: 'ShipStation rate limit reached',
+        nextAttemptAt: error.retryAt,
+        counted: false
+      });
+      console.log(`  🚦 Order ${order.order_number} rate limited, will retry at ${error.retryAt.toISOString()}`);
+      return;
+    }
     
-    if (order.attempts >= 10) {
+    const attempts = order.attempts + 1;
+
+    // e.g. a note that doesn't fit the field: fail now instead of retrying
+    if (error.permanent) {
+      attempt.outcome = 'failed';
+      await updateOrderStatus(order.id, 'failed', null, error.message);
+      console.log(`  ❌ Order ${order.order_number} failed: ${error.message}`);
+      return;
+    }
+
+    if (attempts >= RETRY_SETTINGS.error.maxAttempts) {
+      attempt.outcome = 'failed';
       await updateOrderStatus(order.id, 'failed', null, error.message);
-      console.log(`  ❌ Order ${order.order_number} marked as failed after ${order.attempts + 1} attempts`);
+      console.log(`  ❌ Order ${order.order_number} marked as failed after ${attempts} attempts`);
     } else {
-      await updateOrderStatus(order.id, 'pending', null, error.message);
-      console.log(`  ⚠️  Order ${order.order_number} will retry later`);
+      attempt.outcome = 'retry';
+      const nextAttemptAt = getNextAttemptAt(attempts, RETRY_SETTINGS.error);
+      await scheduleRetry(order.id, { errorMessage: error.message, nextAttemptAt });
+      console.log(`  ⚠️  Order ${order.order_number} will retry in ${formatDelay(nextAttemptAt)}`);
+    }
+  } finally {
+    attempt.finishedAt = new Date();
+    attempt.outcome = attempt.outcome || 'error';
+
+    try {
+      await recordAttempt(order.id, attempt);
+    } catch (error) {
+      // Already logged; history must never break processing
     }
   }
 }
 
-async function processPendingOrders() {
+const WORKER_BATCH_SIZE = 50;
+
+// Orders the worker is processing right now; the retry route leaves them
+// alone so a reset never lands in the middle of a run
+const ordersInFlight = new Set();
+let workerRunning = false;
+let workerRerunRequested = false;
+
+// Runs fn while holding the order; resolves false without running it when
+// the order is already being processed
+async function withOrderLock(orderId, fn) {
+  if (ordersInFlight.has(orderId)) return false;
+  ordersInFlight.add(orderId);
+  try {
+    await fn();
+    return true;
+  } finally {
+    ordersInFlight.delete(orderId);
+  }
+}
+
+// A slow run (rate limit waits, a big batch) must not overlap the next tick.
+// With rerunIfBusy (retry now) a busy worker runs once more when it is done,
+// so the order is picked up even if this run already handled it.
+async function processPendingOrders({ rerunIfBusy = false } = {}) {
+  if (workerRunning) {
+    if (rerunIfBusy) workerRerunRequested = true;
+    else console.log('⏭️  Previous worker run still in progress, skipping this check');
+    return;
+  }
+  workerRunning = true;
+
+  try {
+    do {
+      workerRerunRequested = false;
+      await runWorker();
+    } while (workerRerunRequested);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+async function runWorker() {
   console.log(`\n${'═'.repeat(80)}`);
   console.log(`🔄 Checking for pending orders...`);
   console.log(`   Time: ${new Date().toLocaleString()}`);
   console.log(`${'═'.repeat(80)}`);
   
   try {
-    const pendingOrders = await getPendingOrders(50);
+    const pendingOrders = await getPendingOrders(WORKER_BATCH_SIZE);
     
     if (pendingOrders.length === 0) {
       console.log('✅ No pending orders to process');
@@ -1018,9 +5889,23 @@ async function processPendingOrders() {
     
     console.log(`📋 Found ${pendingOrders.length} pending orders`);
     
-    for (const order of pendingOrders) {
-      await processOrder(order);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    // Pacing is left to the ShipStation client's rate limiter. The queue is
+    // read again after every order, so one that arrives or is bumped during
+    // the run with a higher priority goes next instead of after the batch.
+    const processed = new Set();
+    while (processed.size < WORKER_BATCH_SIZE) {
+      const order = (await getPendingOrders(WORKER_BATCH_SIZE)).find(o => !processed.has(o.id) && !ordersInFlight.has(o.id));
+      if (!order) break;
+
+      processed.add(order.id);
+      await withOrderLock(order.id, async () => {
+        // A retry may have finished it between the queue read and the lock
+        const current = await getOrderById(order.id);
+        if (!current || current.status !== 'pending') return;
+
+        if (current.priority !== 0) console.log(`⚡ Priority ${current.priority}: order ${current.order_number}`);
+        await processOrder(current);
+      });
     }
     
     const stats = await getStats();
@@ -1043,6 +5928,36 @@ async function start() {
   console.log(`🚀 Starting Combined Webhook + Worker Server...`);
   console.log(`${'═'.repeat(80)}\n`);
   logDatabaseStorageMode(DB_PATH);
+
+  const noteFieldError = getNoteFieldError(DEFAULT_SHOP.noteField);
+  if (noteFieldError) {
+    throw new Error(`Invalid NOTE_FIELD "${DEFAULT_SHOP.noteField}": ${noteFieldError}`);
+  }
+  for (const [field, maxLength] of NOTE_FIELD_MAX_LENGTHS) {
+    if (!Object.prototype.hasOwnProperty.call(NOTE_FIELDS, field) || !Number.isInteger(maxLength) || maxLength <= 0) {
+      throw new Error(`Invalid NOTE_FIELD_MAX_LENGTH entry "${field}:${maxLength}": expected <field>:<positive integer> with a field of ${Object.keys(NOTE_FIELDS).join(', ')}`);
+    }
+  }
+
+  // Load config files up front so a broken file stops the deploy
+  customizationRules.load();
+  customizationRules.watch();
+  console.log(`✅ Customization rules loaded: ${CUSTOMIZATION_RULES_PATH}`);
+  noteLayouts.load();
+  noteLayouts.watch();
+  console.log(`✅ Note layouts loaded: ${NOTE_LAYOUTS_PATH} (${getNoteLayoutNames().join(', ')})`);
+  shopRegistry.load();
+  shopRegistry.watch();
+  carrierRules.load();
+  carrierRules.watch();
+  console.log(`✅ Carrier rules loaded: ${CARRIER_RULES_PATH} (${carrierRules.get().rules.length} rules, rate shopping ${carrierRules.get().rateShopping.enabled ? 'on' : 'off'})`);
+  boxCatalog.load();
+  boxCatalog.watch();
+  priorityRules.load();
+  priorityRules.watch();
+  console.log(`✅ Priority rules loaded: ${PRIORITY_RULES_PATH} (${priorityRules.get().rules.length} rules)`);
+  console.log(`✅ Box catalog loaded: ${BOXES_PATH} (${boxCatalog.get().boxes.length} boxes, parcel selection ${boxCatalog.get().enabled ? 'on' : 'off'})`);
+  console.log(`✅ Shop registry loaded: ${SHOPS_PATH} (${getRegisteredShops().map(shop => shop.domain).join(', ') || 'default shop only'})`);
   
   // Initialize database
   await initDatabase();
@@ -1052,25 +5967,32 @@ async function start() {
     console.log(`\n${'═'.repeat(80)}`);
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Dashboard: http://localhost:${PORT}/`);
-    console.log(`📝 Webhook endpoint: POST /webhooks/shopify/orders/create`);
+    SHOPIFY_ORDER_TOPICS.forEach(topic => console.log(`📝 Webhook endpoint: POST /webhooks/shopify/${topic}`));
     console.log(`${'═'.repeat(80)}\n`);
     
-    const missing = [];
-    if (!process.env.SHOPIFY_WEBHOOK_SECRET) missing.push('SHOPIFY_WEBHOOK_SECRET');
-    if (!process.env.SHIPSTATION_API_KEY) missing.push('SHIPSTATION_API_KEY');
-    if (!process.env.SHIPSTATION_API_SECRET) missing.push('SHIPSTATION_API_SECRET');
+    const missing = getMissingShopEnvVars();
     
     if (missing.length > 0) {
       console.error(`⚠️  Missing env vars: ${missing.join(', ')}`);
     } else {
       console.log('✅ All environment variables set');
     }
+
+    if (DASHBOARD_USERS.size === 0 && !process.env.ADMIN_API_TOKEN) {
+      console.warn('⚠️  Neither DASHBOARD_USERS nor ADMIN_API_TOKEN is set, the dashboard and API are locked');
+    }
+    if (!process.env.SESSION_SECRET) {
+      console.warn('⚠️  SESSION_SECRET not set, dashboard sessions end when the server restarts');
+    }
   });
   
   // Start worker in background
   const POLL_INTERVAL = process.env.POLL_INTERVAL || 5 * 60 * 1000; // 5 minutes
   console.log(`🤖 Worker starting (checks every ${POLL_INTERVAL / 1000} seconds)...\n`);
   
+  // Warm the tag cache (and create missing tags if enabled) before the first run
+  await syncShipStationTags();
+
   // Initial check
   await processPendingOrders();
   
@@ -1091,8 +6013,21 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start everything
-start().catch(error => {
-  console.error('💥 Fatal error:', error);
-  process.exit(1);
-});
+// Start everything (or run a one-off command)
+if (process.argv[2] === 'hash-password') {
+  if (!process.argv[3]) {
+    console.error('Usage: node server.js hash-password <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(process.argv[3]));
+} else if (process.argv[2] === 'reprocess') {
+  runReprocessCommand(process.argv.slice(3)).catch(error => {
+    console.error('💥 Reprocess failed:', error.message);
+    process.exit(1);
+  });
+} else {
+  start().catch(error => {
+    console.error('💥 Fatal error:', error);
+    process.exit(1);
+  });
+}